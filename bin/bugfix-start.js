@@ -15,15 +15,5 @@
  * limitations under the License.
  */
 
-const commandLineArgs = require("command-line-args");
-const git = require('simple-git')();
-const { startTopicBranch } = require('../lib/topic-branch-scripts');
-
-const optionDefinitions = [
-    {name: 'bugfixName', alias: 'b', type: String, defaultOption: true}
-];
-
-const options = commandLineArgs(optionDefinitions);
-const bugfixName = options.bugfixName;
-
-startTopicBranch(git, 'bugfix', bugfixName); 
\ No newline at end of file
+// Alias of 'gitflow bugfix-start'
+require('../lib/cli').runCommand('bugfix-start', process.argv.slice(2));
@@ -15,15 +15,5 @@
  * limitations under the License.
  */
 
-const commandLineArgs = require("command-line-args");
-const git = require("simple-git")();
-const { finishTopicBranch } = require('../lib/topic-branch-scripts');
-
-const optionDefinitions = [
-    { name: 'squash', alias: 's', type: Boolean, defaultValue: false },
-    { name: 'message', alias: 'm', type: String }
-];
-
-const options = commandLineArgs(optionDefinitions);
-
-finishTopicBranch(git, 'feature', options.squash, options.message);
+// Alias of 'gitflow feature-finish'
+require('../lib/cli').runCommand('feature-finish', process.argv.slice(2));
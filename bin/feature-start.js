@@ -15,15 +15,5 @@
  * limitations under the License.
  */
 
-const commandLineArgs = require("command-line-args");
-const git = require('simple-git')();
-const { startTopicBranch } = require('../lib/topic-branch-scripts');
-
-const optionDefinitions = [
-    {name: 'featureName', alias: 'f', type: String, defaultOption: true}
-];
-
-const options = commandLineArgs(optionDefinitions);
-const featureName = options.featureName;
-
-startTopicBranch(git, 'feature', featureName);
\ No newline at end of file
+// Alias of 'gitflow feature-start'
+require('../lib/cli').runCommand('feature-start', process.argv.slice(2));
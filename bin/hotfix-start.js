@@ -15,68 +15,5 @@
  * limitations under the License.
  */
 
-const git = require('simple-git')();
-const fs = require('fs');
-const path = require('path');
-const isLernaProject = fs.existsSync("./lerna.json");
-const packageJsonPath = path.resolve(process.cwd(), "package.json");
-const packageJsonFile = require(packageJsonPath);
-const { 
-    checkUncommittedChanges, 
-    switchToBranchAndPull, 
-    handleError,
-    getVersionFromBranch,
-    commitAndPush,
-    checkRemoteBranchExists
-} = require('../lib/git-utils');
-const { 
-    changePackageJsonVersion,
-    changeLernaProjectVersion,
-    getIncrementedPatchVersion
-} = require('../lib/npm-utils');
-
-// Check if hotfix is already in progress and exit if true
-checkUncommittedChanges(git)
-    .then(() => checkRemoteBranchExists(git, 'hotfix'))
-    .then(exists => {
-        if (exists) {
-            console.error('Error: Hotfix branch already exists. A hotfix is already in progress.');
-            process.exit(1);
-        }
-        return switchToBranchAndPull(git, 'main');
-    })
-    .then(() => getVersionFromBranch(git, 'main', isLernaProject))
-    .then(version => {
-        const hotfixVersion = getIncrementedPatchVersion(version);
-        if (!hotfixVersion) {
-            handleError(new Error(`Invalid version format: ${version}`));
-        }
-        return createHotfixBranch(hotfixVersion);
-    })
-    .then(hotfixVersion => commitAndPush(git, 'hotfix', `chore: hotfix started, hotfix version ${hotfixVersion}`));
-
-/**
- * Creates hotfix branch and sets the version
- * 
- * @param {string} hotfixVersion - The hotfix version to set
- * @returns {Promise<string>} A promise that resolves with the hotfix version
- */
-function createHotfixBranch(hotfixVersion) {
-    return new Promise((resolve) => {
-        git.checkoutBranch('hotfix', 'main')
-            .then(() => {
-                console.log("Created hotfix branch from main");
-                
-                // Set the version in the appropriate file
-                const versionPromise = isLernaProject 
-                    ? changeLernaProjectVersion(hotfixVersion, 'hotfix')
-                    : changePackageJsonVersion(hotfixVersion);
-                
-                versionPromise.then(() => {
-                    console.log(`Set hotfix version to ${hotfixVersion}`);
-                    resolve(hotfixVersion);
-                });
-            })
-            .catch(handleError);
-    });
-} 
\ No newline at end of file
+// Alias of 'gitflow hotfix-start'
+require('../lib/cli').runCommand('hotfix-start', process.argv.slice(2));
@@ -0,0 +1,278 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SimpleGit } from 'simple-git';
+
+/**
+ * Logger receiving workflow progress messages
+ */
+export interface Logger {
+    log(...args: unknown[]): void;
+    error(...args: unknown[]): void;
+}
+
+/**
+ * Options common for all workflows
+ */
+export interface WorkflowOptions {
+    /** Project root directory, defaults to the process working directory */
+    cwd?: string;
+    /** simple-git instance, created for cwd if not specified */
+    git?: SimpleGit;
+    /** Logger with console compatible methods, defaults to console */
+    logger?: Logger;
+    /** Only record and log modifying git and npm operations */
+    dryRun?: boolean;
+    /** Sign commits (-S) and tags (-s) with the git signing key, the "sign" configuration option by default */
+    sign?: boolean;
+}
+
+export interface StartTopicOptions extends WorkflowOptions {
+    /** Name of the branch without the type prefix */
+    name: string;
+}
+
+export interface FinishTopicOptions extends WorkflowOptions {
+    /**
+     * How the branch is brought into develop: merge commit (default), squash commit, rebase onto develop and fast-forward,
+     * or fast-forward only. rebase and ff-only restore the develop version in a separate commit.
+     */
+    strategy?: 'merge' | 'squash' | 'rebase' | 'ff-only';
+    /** Squash the commits during merge, same as the 'squash' strategy */
+    squash?: boolean;
+    /** Commit message, required when squashing, message of the version commit for rebase and ff-only */
+    message?: string;
+    /** Remove the dist-tag of the branch (e.g. 'feature-login') from all packages in the configured registry */
+    cleanupDistTags?: boolean;
+    /**
+     * Push the branch with the develop version and open a pull request to develop instead of merging,
+     * the branch is deleted when finished again after the pull request is merged
+     */
+    viaPr?: boolean;
+}
+
+export interface StartReleaseOptions extends WorkflowOptions {
+    /** Release version (Major.Minor.Patch), version core of develop is used if neither version nor bump is specified */
+    version?: string;
+    /** Bump of the last released version, 'auto' infers it from Conventional Commits since the last release */
+    bump?: 'auto' | 'major' | 'minor' | 'patch';
+}
+
+export interface StartSupportOptions extends WorkflowOptions {
+    /** Release line (Major.Minor), e.g. '2.3' */
+    version: string;
+}
+
+export interface StartHotfixOptions extends WorkflowOptions {
+    /** Branch to fix: main or a support branch (e.g. 'support/2.3'), main by default */
+    base?: string;
+    /** Hotfix name, the branch is named 'hotfix/<name>'; named hotfixes can be in progress at the same time */
+    name?: string;
+}
+
+export interface FinishReleaseOptions extends WorkflowOptions {
+    /** Packages to exclude from dependency version validation */
+    excludePackages?: string[];
+    /** Pin next and hotfix dist-tag dependencies to the versions they point to and commit them to the branch before merging */
+    pin?: boolean;
+}
+
+export interface UpdateLockFileOptions extends WorkflowOptions {
+    /** npm scope(s) to update, e.g. '@company' */
+    scopes: string | string[];
+}
+
+export interface PublishOptions extends WorkflowOptions {
+    /** Registry URL, e.g. a local Verdaccio 'http://localhost:4873', overrides the configured registry */
+    registry?: string;
+}
+
+export interface RunHookOptions extends WorkflowOptions {
+    hook: 'pre-commit' | 'pre-push';
+    /** Standard input of the pre-push hook: '<local ref> <local sha> <remote ref> <remote sha>' lines */
+    input?: string;
+}
+
+export interface ValidateDependenciesOptions extends WorkflowOptions {
+    /** Branch type whose rules are applied, the type of the current branch by default */
+    branchType?: BranchType;
+    /** Packages to exclude from validation */
+    excludePackages?: string[];
+}
+
+/**
+ * Workflows resolve with the list of planned actions in dry run mode
+ */
+export type WorkflowResult = Promise<string[] | undefined>;
+
+export function startFeature(options: StartTopicOptions): WorkflowResult;
+export function finishFeature(options?: FinishTopicOptions): WorkflowResult;
+export function startBugfix(options: StartTopicOptions): WorkflowResult;
+export function finishBugfix(options?: FinishTopicOptions): WorkflowResult;
+export function startRelease(options?: StartReleaseOptions): WorkflowResult;
+export function finishRelease(options?: FinishReleaseOptions): WorkflowResult;
+export function continueRelease(options?: WorkflowOptions): WorkflowResult;
+export function abortRelease(options?: WorkflowOptions): WorkflowResult;
+export function startSupport(options: StartSupportOptions): WorkflowResult;
+export function startHotfix(options?: StartHotfixOptions): WorkflowResult;
+export function finishHotfix(options?: FinishReleaseOptions): WorkflowResult;
+export function continueHotfix(options?: WorkflowOptions): WorkflowResult;
+export function abortHotfix(options?: WorkflowOptions): WorkflowResult;
+export function updateLockFile(options: UpdateLockFileOptions): WorkflowResult;
+export function publish(options?: PublishOptions): WorkflowResult;
+export function installHooks(options?: WorkflowOptions): WorkflowResult;
+export function runHook(options: RunHookOptions): Promise<void>;
+export function validateDependencies(options?: ValidateDependenciesOptions): Promise<DependencyReport>;
+export function getStatus(options?: WorkflowOptions): Promise<FlowStatus>;
+
+/**
+ * Pull request as reported by a provider
+ */
+export interface PullRequest {
+    number: number;
+    url: string;
+    state: 'open' | 'merged' | 'closed';
+}
+
+/**
+ * API client of a pull request provider passed to the provider methods
+ */
+export interface PullRequestApiClient {
+    provider: string;
+    /** Repository path, e.g. 'company/project' */
+    repository: string;
+    /** Sends a JSON request to the configured base URL with the provider token */
+    request(method: string, path: string, body?: unknown): Promise<any>;
+}
+
+/**
+ * Pull request provider used by the 'pullRequests.provider' configuration option
+ */
+export interface PullRequestProvider {
+    /** API URL used unless 'pullRequests.baseUrl' is configured */
+    defaultBaseUrl: string;
+    /** Environment variable with the API token */
+    tokenVariable: string;
+    /** Additional request headers */
+    headers?: { [name: string]: string };
+    createPullRequest(api: PullRequestApiClient, pullRequest: {
+        sourceBranch: string;
+        targetBranch: string;
+        title: string;
+        description?: string;
+        squash?: boolean;
+    }): Promise<PullRequest>;
+    /** Resolves with the latest pull request from the source branch to the target branch or null */
+    findPullRequest(api: PullRequestApiClient, branches: { sourceBranch: string; targetBranch: string }): Promise<PullRequest | null>;
+}
+
+/** Registers a pull request provider in addition to github, gitlab and bitbucket */
+export function registerPullRequestProvider(name: string, provider: PullRequestProvider): void;
+
+export type BranchType = 'main' | 'develop' | 'release' | 'hotfix' | 'support' | 'feature' | 'bugfix';
+
+/**
+ * Flow state of the repository, versions and commit counts are read from remote-tracking branches
+ */
+export interface FlowStatus {
+    currentBranch: {
+        name: string;
+        /** null for branches outside the flow */
+        type: BranchType | null;
+    };
+    /** null if the version cannot be read or the branch does not exist */
+    versions: {
+        main: string | null;
+        develop: string | null;
+        release: string | null;
+    };
+    releaseInProgress: boolean;
+    hotfixes: Array<{ branch: string; version: string | null }>;
+    hotfixInProgress: boolean;
+    /** Remote feature and bugfix branches, counts are null if the branch is not fetched */
+    topicBranches: Array<{ branch: string; type: 'feature' | 'bugfix'; ahead: number | null; behind: number | null }>;
+    interruptedWorkflow: { command: string; step: string } | null;
+    /** Dependencies rejected for the current branch type, null for branches outside the flow */
+    dependencies: { branchType: BranchType; findings: DependencyFinding[] } | null;
+}
+
+/**
+ * Dependency validation result of the root, workspace and Lerna packages
+ */
+export interface DependencyReport {
+    branchType: BranchType;
+    /** 'release versions' followed by allowed dist-tags, prefixes end with '*' */
+    allowed: string[];
+    /** Validated package.json files relative to the project root */
+    files: string[];
+    valid: boolean;
+    violations: Array<{ file: string; section: string; package: string; found: string; allowed: string[] }>;
+}
+
+export class GitflowError extends Error {}
+export class ConfigError extends GitflowError {}
+export class InvalidArgumentError extends GitflowError {}
+export class DirtyWorkingTreeError extends GitflowError {}
+export class WorkflowStateError extends GitflowError {}
+export class SigningError extends GitflowError {}
+export class PullRequestError extends GitflowError {}
+
+export class BranchExistsError extends GitflowError {
+    readonly branch: string;
+}
+
+export class InvalidBranchError extends GitflowError {
+    readonly branch: string;
+}
+
+export class InvalidVersionError extends GitflowError {
+    readonly version: string;
+}
+
+export interface DependencyFinding {
+    /** package.json section, e.g. 'optionalDependencies', 'overrides > react', 'resolutions' or 'pnpm.overrides' */
+    section: string;
+    /** Dependency name or override selector */
+    name: string;
+    version: string;
+}
+
+export class DependencyValidationError extends GitflowError {
+    readonly targetBranchType: string;
+    /** Invalid dependencies with the section they were found in */
+    readonly findings: DependencyFinding[];
+    /** Invalid dependencies in the 'name@version' format */
+    readonly invalidDependencies: string[];
+}
+
+export class MergeConflictError extends GitflowError {
+    /** Files with conflicts to be resolved manually */
+    readonly files: string[];
+    /** Files with version and lock file conflicts resolved automatically */
+    readonly resolvedFiles: string[];
+}
+
+export class WorkflowInterruptedError extends GitflowError {
+    readonly step: string;
+    readonly cause: Error;
+}
+
+type Helpers = { [name: string]: (...args: any[]) => any };
+
+/** Low level helpers, prefer the workflow functions above */
+export const gitUtils: Helpers;
+export const topicBranchScripts: Helpers;
+export const npmUtils: Helpers;
@@ -18,9 +18,15 @@
 const gitUtils = require('../lib/git-utils');
 const topicBranchScripts = require('../lib/topic-branch-scripts');
 const npmUtils = require('../lib/npm-utils');
+const api = require('../lib/api');
+const { registerPullRequestProvider } = require('../lib/pull-requests');
+const errors = require('../lib/errors');
 
 module.exports = {
     gitUtils,
     topicBranchScripts,
-    npmUtils
+    npmUtils,
+    ...api,
+    registerPullRequestProvider,
+    ...errors
 };
\ No newline at end of file
@@ -15,32 +15,5 @@
  * limitations under the License.
  */
 
-const git = require('simple-git')();
-const commandLineArgs = require('command-line-args');
-const { finishReleaseBranch } = require('../lib/release-branch-scripts');
-
-// Define command line options
-const optionDefinitions = [
-    {
-        name: 'no-version-check',
-        type: String,
-        multiple: true,
-        defaultValue: [],
-        description: 'List of packages to exclude from version validation'
-    }
-];
-
-// Parse command line arguments
-const options = commandLineArgs(optionDefinitions);
-
-// Validate that if --no-version-check is specified, it must have at least one package
-if (process.argv.includes('--no-version-check') && options['no-version-check'].length === 0) {
-    console.error('Error: --no-version-check flag requires at least one package to be specified');
-    process.exit(1);
-}
-
-// Convert array of packages to Set
-const packagesToExcludeFromVersionValidation = new Set(options['no-version-check']);
-
-// Execute the release finish workflow
-finishReleaseBranch(git, 'release', packagesToExcludeFromVersionValidation);
+// Alias of 'gitflow release-finish'
+require('../lib/cli').runCommand('release-finish', process.argv.slice(2));
@@ -15,22 +15,5 @@
  * limitations under the License.
  */
 
-const commandLineArgs = require("command-line-args");
-const lockFileUtils = require('../lib/lock-file-utils');
-
-const optionDefinitions = [
-    { name: 'scope', alias: 's', type: String, defaultOption: true }
-];
-
-const options = commandLineArgs(optionDefinitions);
-const scope = options.scope;
-
-if (!lockFileUtils.validateScope(scope)) {
-    process.exit(0);
-}
-
-// Run the main function
-lockFileUtils.processLockFile(scope).catch(error => {
-    console.error('Error:', error);
-    process.exit(1);
-}); 
\ No newline at end of file
+// Alias of 'gitflow update-lock-file'
+require('../lib/cli').runCommand('update-lock-file', process.argv.slice(2));
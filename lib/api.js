@@ -0,0 +1,326 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const simpleGit = require('simple-git');
+const { startTopicBranch, finishTopicBranch, finishTopicBranchViaPullRequest } = require('./topic-branch-scripts');
+const {
+    startReleaseBranch,
+    startSupportBranch,
+    startHotfixBranch,
+    finishReleaseBranch,
+    continueReleaseBranch,
+    abortReleaseBranch
+} = require('./release-branch-scripts');
+const { validateScope, processLockFile } = require('./lock-file-utils');
+const { getFlowStatus } = require('./status');
+const { createDependencyReport } = require('./dependency-report');
+const { publishPackages } = require('./publish');
+const { installHooks: installGitHooks, runHook: runGitHook } = require('./hooks');
+const { setDryRun, getPlannedActions, printPlan } = require('./dry-run');
+const { setSigning, checkSigningKey } = require('./signing');
+const { runInContext, getCwd } = require('./context');
+const { InvalidArgumentError } = require('./errors');
+
+/**
+ * Runs a workflow with the common options applied
+ *
+ * @param {Object} options - Common workflow options
+ * @param {string} [options.cwd] - The project root directory, defaults to the process working directory
+ * @param {Object} [options.git] - The simple-git instance, created for cwd if not specified
+ * @param {Object} [options.logger] - Logger with log and error methods, defaults to console
+ * @param {boolean} [options.dryRun] - Whether to only record and log modifying operations
+ * @param {boolean} [options.sign] - Whether to sign commits and tags, the "sign" configuration option is used if not specified
+ * @param {Function} workflow - Function receiving the simple-git instance and returning a promise
+ * @returns {Promise<string[]|undefined>} A promise that resolves with planned actions in dry run mode
+ */
+function runWorkflow(options, workflow) {
+    return runInContext(options, () => {
+        setDryRun(options.dryRun);
+        setSigning(options.sign);
+        const git = options.git || simpleGit(getCwd());
+        return checkSigningKey(git).then(() => workflow(git)).then(() => {
+            if (options.dryRun) {
+                printPlan();
+                return getPlannedActions();
+            }
+        });
+    });
+}
+
+/**
+ * Finishes the current topic branch with the strategy and the mode of the options
+ *
+ * @param {Object} git - The simple-git instance
+ * @param {string} branchType - The type of branch (feature, bugfix)
+ * @param {Object} options - Options of finishFeature and finishBugfix
+ * @returns {Promise<void>} A promise that resolves when the workflow is complete
+ * @private
+ */
+function finishTopic(git, branchType, options) {
+    if (options.squash && options.strategy && options.strategy !== 'squash') {
+        return Promise.reject(new InvalidArgumentError(`squash option cannot be combined with ${options.strategy} strategy`));
+    }
+    const finish = options.viaPr ? finishTopicBranchViaPullRequest : finishTopicBranch;
+    return finish(git, branchType, options.strategy || Boolean(options.squash), options.message, options.cleanupDistTags);
+}
+
+/**
+ * Creates a feature branch from develop
+ *
+ * @param {Object} options - Workflow options, see runWorkflow for common options
+ * @param {string} options.name - The feature name
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function startFeature(options = {}) {
+    return runWorkflow(options, git => startTopicBranch(git, 'feature', options.name));
+}
+
+/**
+ * Merges the current feature branch to develop and deletes it
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @param {string} [options.strategy] - How the branch is brought into develop: merge (default), squash, rebase or ff-only
+ * @param {boolean} [options.squash] - Whether to squash the commits during merge, same as the squash strategy
+ * @param {string} [options.message] - Commit message, required when squashing
+ * @param {boolean} [options.cleanupDistTags] - Whether to remove the dist-tag of the branch from all packages in the registry
+ * @param {boolean} [options.viaPr] - Whether to open a pull request to develop instead of merging, the branch is deleted on the next run after the merge
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function finishFeature(options = {}) {
+    return runWorkflow(options, git => finishTopic(git, 'feature', options));
+}
+
+/**
+ * Creates a bugfix branch from develop
+ *
+ * @param {Object} options - Workflow options, see runWorkflow for common options
+ * @param {string} options.name - The bugfix name
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function startBugfix(options = {}) {
+    return runWorkflow(options, git => startTopicBranch(git, 'bugfix', options.name));
+}
+
+/**
+ * Merges the current bugfix branch to develop and deletes it
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @param {string} [options.strategy] - How the branch is brought into develop: merge (default), squash, rebase or ff-only
+ * @param {boolean} [options.squash] - Whether to squash the commits during merge, same as the squash strategy
+ * @param {string} [options.message] - Commit message, required when squashing
+ * @param {boolean} [options.cleanupDistTags] - Whether to remove the dist-tag of the branch from all packages in the registry
+ * @param {boolean} [options.viaPr] - Whether to open a pull request to develop instead of merging, the branch is deleted on the next run after the merge
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function finishBugfix(options = {}) {
+    return runWorkflow(options, git => finishTopic(git, 'bugfix', options));
+}
+
+/**
+ * Creates a release branch from develop
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @param {string} [options.version] - The release version, version core of develop is used if neither version nor bump is specified
+ * @param {string} [options.bump] - 'auto' to infer the version from Conventional Commits since the last release or an explicit bump (major, minor, patch)
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function startRelease(options = {}) {
+    return runWorkflow(options, git => startReleaseBranch(git, options.version, options.bump));
+}
+
+/**
+ * Merges the release branch to main and back to develop
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @param {string[]} [options.excludePackages] - Packages to exclude from dependency version validation
+ * @param {boolean} [options.pin] - Whether to pin next and hotfix dist-tag dependencies to concrete versions before merging
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function finishRelease(options = {}) {
+    return runWorkflow(options, git => finishReleaseBranch(git, 'release', new Set(options.excludePackages || []), options.pin));
+}
+
+/**
+ * Continues an interrupted release finish from the failed step
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function continueRelease(options = {}) {
+    return runWorkflow(options, git => continueReleaseBranch(git, 'release'));
+}
+
+/**
+ * Aborts an interrupted release finish rolling back local changes
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the rollback is complete
+ */
+function abortRelease(options = {}) {
+    return runWorkflow(options, git => abortReleaseBranch(git, 'release'));
+}
+
+/**
+ * Creates a support branch for an older release line from its latest release tag
+ *
+ * @param {Object} options - Workflow options, see runWorkflow for common options
+ * @param {string} options.version - The release line (Major.Minor)
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function startSupport(options = {}) {
+    return runWorkflow(options, git => startSupportBranch(git, options.version));
+}
+
+/**
+ * Creates a hotfix branch from main or a support branch with the next free patch version
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @param {string} [options.base] - The branch to fix, main or a support branch (e.g. 'support/2.3'), main by default
+ * @param {string} [options.name] - The hotfix name, the branch is named hotfix/<name>
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function startHotfix(options = {}) {
+    return runWorkflow(options, git => startHotfixBranch(git, options.base, options.name));
+}
+
+/**
+ * Merges the current hotfix branch to main and back to develop or to the in-progress release branch.
+ * Hotfixes of support branches are merged into the support branch only.
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @param {string[]} [options.excludePackages] - Packages to exclude from dependency version validation
+ * @param {boolean} [options.pin] - Whether to pin next and hotfix dist-tag dependencies to concrete versions before merging
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function finishHotfix(options = {}) {
+    return runWorkflow(options, git => finishReleaseBranch(git, 'hotfix', new Set(options.excludePackages || []), options.pin));
+}
+
+/**
+ * Continues an interrupted hotfix finish from the failed step
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the workflow is complete
+ */
+function continueHotfix(options = {}) {
+    return runWorkflow(options, git => continueReleaseBranch(git, 'hotfix'));
+}
+
+/**
+ * Aborts an interrupted hotfix finish rolling back local changes
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the rollback is complete
+ */
+function abortHotfix(options = {}) {
+    return runWorkflow(options, git => abortReleaseBranch(git, 'hotfix'));
+}
+
+/**
+ * Removes lock file entries of the npm scopes and updates the scope packages
+ *
+ * @param {Object} options - Workflow options, see runWorkflow for common options
+ * @param {string|string[]} options.scopes - The npm scope(s) to update (e.g. '@company')
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the lock file is updated
+ */
+function updateLockFile(options = {}) {
+    return runWorkflow(options, () => {
+        if (!validateScope(options.scopes)) {
+            return Promise.reject(new InvalidArgumentError(`Invalid npm scope: ${options.scopes}`));
+        }
+        return processLockFile(options.scopes);
+    });
+}
+
+/**
+ * Publishes the packages of the current branch with the dist-tag of the branch type
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @param {string} [options.registry] - The registry URL, overrides the configured registry
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the packages are published
+ */
+function publish(options = {}) {
+    return runWorkflow(options, git => publishPackages(git, options.registry));
+}
+
+/**
+ * Installs pre-commit and pre-push git hooks validating dependency versions by the rules of the branch type.
+ * Existing hooks are kept and run first.
+ *
+ * @param {Object} [options] - Workflow options, see runWorkflow for common options
+ * @returns {Promise<string[]|undefined>} A promise that resolves when the hooks are installed
+ */
+function installHooks(options = {}) {
+    return runWorkflow(options, git => installGitHooks(git));
+}
+
+/**
+ * Runs the dependency validation of a git hook installed by installHooks. Nothing is changed.
+ *
+ * @param {Object} options - Options, see runWorkflow for common options (dryRun is ignored)
+ * @param {string} options.hook - The hook name, 'pre-commit' or 'pre-push'
+ * @param {string} [options.input] - The standard input of the pre-push hook
+ * @returns {Promise<void>} A promise that resolves if dependencies are valid, rejects with DependencyValidationError otherwise
+ */
+function runHook(options = {}) {
+    return runInContext(options, () => runGitHook(options.git || simpleGit(getCwd()), options.hook, options.input));
+}
+
+/**
+ * Validates dependencies of the root and all monorepo packages by the rules of the branch type.
+ * Nothing is changed, violations are reported instead of failing.
+ *
+ * @param {Object} [options] - Options, see runWorkflow for common options (dryRun is ignored)
+ * @param {string} [options.branchType] - The branch type, inferred from the current branch if not specified
+ * @param {string[]} [options.excludePackages] - Packages to exclude from validation
+ * @returns {Promise<Object>} A promise that resolves with the report
+ */
+function validateDependencies(options = {}) {
+    return runInContext(options, () => createDependencyReport(options.git || simpleGit(getCwd()), options.branchType, new Set(options.excludePackages || [])));
+}
+
+/**
+ * Collects the flow state of the repository: current branch, versions, hotfixes and releases in progress,
+ * topic branches and dependencies rejected for the current branch type. Nothing is changed.
+ *
+ * @param {Object} [options] - Options, see runWorkflow for common options (dryRun is ignored)
+ * @returns {Promise<Object>} A promise that resolves with the status
+ */
+function getStatus(options = {}) {
+    return runInContext(options, () => getFlowStatus(options.git || simpleGit(getCwd())));
+}
+
+module.exports = {
+    startFeature,
+    finishFeature,
+    startBugfix,
+    finishBugfix,
+    startRelease,
+    finishRelease,
+    continueRelease,
+    abortRelease,
+    startSupport,
+    startHotfix,
+    finishHotfix,
+    continueHotfix,
+    abortHotfix,
+    updateLockFile,
+    publish,
+    installHooks,
+    runHook,
+    validateDependencies,
+    getStatus
+};
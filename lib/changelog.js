@@ -0,0 +1,176 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const timeStamp = require('time-stamp');
+const { getConfig } = require('./config');
+const { getCommitsSinceLastRelease } = require('./conventional-commits');
+const { isDryRun, recordAction } = require('./dry-run');
+const { getCwd, logger } = require('./context');
+
+/**
+ * Builds a changelog section for the version in the Keep a Changelog style.
+ * Features are listed as Added, fixes as Fixed, breaking changes and performance improvements as Changed.
+ *
+ * @param {string} heading - The version heading without the '## ' marker, see formatVersionHeading
+ * @param {Array} commits - Parsed Conventional Commits
+ * @returns {string|null} The section in markdown or null if there are no relevant commits
+ */
+function buildChangelogSection(heading, commits) {
+    const breakingChanges = [];
+    const groups = {
+        Added: [],
+        Changed: [],
+        Fixed: []
+    };
+
+    // Commits come newest first, changelog lists them in chronological order
+    [...commits].reverse().forEach(commit => {
+        const description = (commit.scope ? `**${commit.scope}:** ` : '') + commit.subject;
+        if (commit.breaking) {
+            breakingChanges.push(`BREAKING CHANGE: ${commit.breakingNote || description}`);
+        } else if (commit.type === 'feat') {
+            groups.Added.push(description);
+        } else if (commit.type === 'fix') {
+            groups.Fixed.push(description);
+        } else if (commit.type === 'perf') {
+            groups.Changed.push(description);
+        }
+    });
+
+    // Breaking changes go first
+    groups.Changed.unshift(...breakingChanges);
+
+    const sections = Object.entries(groups)
+        .filter(([, entries]) => entries.length > 0)
+        .map(([title, entries]) => `### ${title}\n` + entries.map(entry => `- ${entry}`).join('\n'));
+
+    if (sections.length === 0) {
+        return null;
+    }
+    return `## ${heading}\n\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Formats the version heading in the style of the latest version heading of the changelog:
+ * with brackets (## [1.2.0]) and the release date (## 1.2.0 - 2025-03-14) if it has them.
+ * A changelog without version headings gets the plain version (## 1.2.0).
+ *
+ * @param {string} content - The changelog content
+ * @param {string} version - The released version
+ * @param {string} date - The release date (YYYY-MM-DD)
+ * @returns {string} The heading without the '## ' marker
+ */
+function formatVersionHeading(content, version, date) {
+    const latestHeading = content.split(/\r?\n/).find(line => line.startsWith('## ') && !isUnreleasedHeading(line));
+    const [, brackets, withDate] = /^## (\[)?[^\s\]]+\]?( - \d{4}-\d{2}-\d{2})?/.exec(latestHeading || '') || [];
+    return (brackets ? `[${version}]` : version) + (withDate ? ` - ${date}` : '');
+}
+
+/**
+ * Inserts the section before the first version section of the changelog.
+ * An Unreleased section (## [Unreleased]) stays on top, the section is inserted after it.
+ *
+ * @param {string} content - The changelog content
+ * @param {string} section - The section to insert
+ * @returns {string} The updated changelog content
+ */
+function insertChangelogSection(content, section) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    const firstVersionIndex = lines.findIndex(line => line.startsWith('## ') && !isUnreleasedHeading(line));
+    const sectionLines = section.split('\n');
+
+    if (firstVersionIndex === -1) {
+        const trimmed = content.replace(/\s+$/, '');
+        return (trimmed ? trimmed + eol + eol : '') + sectionLines.join(eol);
+    }
+    lines.splice(firstVersionIndex, 0, ...sectionLines);
+    return lines.join(eol);
+}
+
+/**
+ * Checks if the changelog line is the heading of the Unreleased section
+ *
+ * @param {string} line - The changelog line
+ * @returns {boolean} True for '## [Unreleased]' and '## Unreleased' headings
+ * @private
+ */
+function isUnreleasedHeading(line) {
+    return /^## \[?unreleased\]?(\s|$)/i.test(line);
+}
+
+/**
+ * Checks if the changelog line is the heading of the version section
+ *
+ * @param {string} line - The changelog line
+ * @param {string} version - The version
+ * @returns {boolean} True for '## 1.2.0', '## [1.2.0]' and headings followed by a date
+ * @private
+ */
+function isVersionHeading(line, version) {
+    return line === `## ${version}` || line.startsWith(`## ${version} `) || line.startsWith(`## [${version}]`);
+}
+
+/**
+ * Adds a section for the version to the changelog file with Conventional Commits
+ * made between the previous release tag and the reference.
+ * Does nothing if the changelog is disabled in configuration, the file does not exist
+ * or already has a section for the version.
+ *
+ * @param {Object} git - The simple-git instance
+ * @param {string} version - The released version
+ * @param {string} ref - The last commit of the release (e.g. release branch)
+ * @returns {Promise<void>} A promise that resolves when the changelog is updated
+ */
+function updateChangelog(git, version, ref) {
+    const changelogFile = getConfig().changelog;
+    if (!changelogFile) {
+        return Promise.resolve();
+    }
+    const changelogPath = path.resolve(getCwd(), changelogFile);
+    if (!fs.existsSync(changelogPath)) {
+        logger.log(`${changelogFile} not found, changelog is not updated`);
+        return Promise.resolve();
+    }
+    const content = fs.readFileSync(changelogPath, 'utf8');
+    if (content.split(/\r?\n/).some(line => isVersionHeading(line, version))) {
+        logger.log(`${changelogFile} already has a section for ${version}`);
+        return Promise.resolve();
+    }
+
+    return getCommitsSinceLastRelease(git, ref).then(({ tag, commits }) => {
+        const section = buildChangelogSection(formatVersionHeading(content, version, timeStamp('YYYY-MM-DD')), commits);
+        if (!section) {
+            logger.log(`No features, fixes or breaking changes since ${tag || 'the first commit'}, ${changelogFile} is not updated`);
+            return;
+        }
+        if (isDryRun()) {
+            return recordAction(`update ${changelogFile}: add section\n${section.replace(/^(?=.)/gm, '       ')}`);
+        }
+        fs.writeFileSync(changelogPath, insertChangelogSection(content, section));
+        logger.log(`Added ${version} section to ${changelogFile}`);
+        return git.add(changelogFile);
+    });
+}
+
+module.exports = {
+    buildChangelogSection,
+    formatVersionHeading,
+    insertChangelogSection,
+    updateChangelog
+};
@@ -0,0 +1,489 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const commandLineArgs = require('command-line-args');
+const api = require('./api');
+const { formatFlowStatus } = require('./status');
+const { formatDependencyReport, formatJUnitReport } = require('./dependency-report');
+const { HOOKS } = require('./hooks');
+const { FINISH_STRATEGIES } = require('./topic-branch-scripts');
+const { handleError } = require('./git-utils');
+
+const PROGRAM_NAME = 'gitflow';
+
+const DRY_RUN_OPTION = { name: 'dry-run', type: Boolean, description: 'Print planned git and npm actions without executing them' };
+const SIGN_OPTION = { name: 'sign', type: Boolean, description: 'Sign commits and tags with the git signing key (GPG or SSH)' };
+const HELP_OPTION = { name: 'help', alias: 'h', type: Boolean, description: 'Print this usage text' };
+
+const TOPIC_FINISH_OPTIONS = [
+    { name: 'strategy', type: String, typeLabel: 'merge|squash|rebase|ff-only', description: 'How the branch is brought into develop, merge by default; rebase rebases the branch onto develop and fast-forwards develop' },
+    { name: 'squash', alias: 's', type: Boolean, description: 'Squash the commits during merge, same as --strategy squash' },
+    { name: 'message', alias: 'm', type: String, typeLabel: '<message>', description: 'Commit message, required with --squash' },
+    { name: 'cleanup-dist-tags', type: Boolean, description: 'Remove the dist-tag of the branch from all packages in the registry' },
+    { name: 'via-pr', type: Boolean, description: 'Open a pull request to develop instead of merging, run again after the merge to delete the branch' },
+    SIGN_OPTION,
+    DRY_RUN_OPTION
+];
+
+const RELEASE_FINISH_OPTIONS = [
+    { name: 'no-version-check', type: String, multiple: true, typeLabel: '<package> ...', description: 'Packages to exclude from dependency version validation' },
+    { name: 'pin', type: Boolean, description: 'Pin next and hotfix dist-tag dependencies to the versions they point to' },
+    { name: 'continue', type: Boolean, description: 'Continue the interrupted workflow from the failed step' },
+    { name: 'abort', type: Boolean, description: 'Abort the interrupted workflow and roll back local changes' },
+    SIGN_OPTION,
+    DRY_RUN_OPTION
+];
+
+/**
+ * Command definitions: usage text, command-line-args option definitions, argument validation
+ * returning an error message and the action running the workflow
+ */
+const COMMANDS = {
+    'feature-start': {
+        summary: 'Create a feature branch from develop',
+        usage: 'feature-start <name>',
+        options: [
+            { name: 'name', alias: 'f', type: String, defaultOption: true, typeLabel: '<name>', description: 'Feature name, the branch is named feature/<name>' },
+            SIGN_OPTION,
+            DRY_RUN_OPTION
+        ],
+        validate: options => !options.name && 'feature name is required',
+        run: options => api.startFeature({ name: options.name, sign: options.sign, dryRun: options['dry-run'] })
+    },
+    'feature-finish': {
+        summary: 'Merge the current feature branch to develop and delete it',
+        usage: 'feature-finish [--strategy merge|squash|rebase|ff-only] [--squash --message <message>] [--cleanup-dist-tags] [--via-pr]',
+        options: TOPIC_FINISH_OPTIONS,
+        validate: validateTopicFinishOptions,
+        run: options => api.finishFeature({ strategy: options.strategy, squash: options.squash, message: options.message, cleanupDistTags: options['cleanup-dist-tags'], viaPr: options['via-pr'], sign: options.sign, dryRun: options['dry-run'] })
+    },
+    'bugfix-start': {
+        summary: 'Create a bugfix branch from develop',
+        usage: 'bugfix-start <name>',
+        options: [
+            { name: 'name', alias: 'b', type: String, defaultOption: true, typeLabel: '<name>', description: 'Bugfix name, the branch is named bugfix/<name>' },
+            SIGN_OPTION,
+            DRY_RUN_OPTION
+        ],
+        validate: options => !options.name && 'bugfix name is required',
+        run: options => api.startBugfix({ name: options.name, sign: options.sign, dryRun: options['dry-run'] })
+    },
+    'bugfix-finish': {
+        summary: 'Merge the current bugfix branch to develop and delete it',
+        usage: 'bugfix-finish [--strategy merge|squash|rebase|ff-only] [--squash --message <message>] [--cleanup-dist-tags] [--via-pr]',
+        options: TOPIC_FINISH_OPTIONS,
+        validate: validateTopicFinishOptions,
+        run: options => api.finishBugfix({ strategy: options.strategy, squash: options.squash, message: options.message, cleanupDistTags: options['cleanup-dist-tags'], viaPr: options['via-pr'], sign: options.sign, dryRun: options['dry-run'] })
+    },
+    'release-start': {
+        summary: 'Create a release branch from develop',
+        usage: 'release-start [<version> | --auto | --bump major|minor|patch]',
+        options: [
+            { name: 'version', type: String, defaultOption: true, typeLabel: '<version>', description: 'Release version (Major.Minor.Patch), the version core of develop by default' },
+            { name: 'auto', type: Boolean, description: 'Infer the version from Conventional Commits since the last release' },
+            { name: 'bump', type: String, typeLabel: 'major|minor|patch', description: 'Bump the last released version' },
+            SIGN_OPTION,
+            DRY_RUN_OPTION
+        ],
+        validate: options => options.auto && options.bump && '--auto and --bump flags cannot be used together',
+        run: options => api.startRelease({
+            version: options.version || '',
+            bump: options.auto ? 'auto' : options.bump,
+            sign: options.sign,
+            dryRun: options['dry-run']
+        })
+    },
+    'release-finish': {
+        summary: 'Merge the release branch to main and back to develop',
+        usage: 'release-finish [--no-version-check <package> ...] [--pin] | --continue | --abort',
+        options: RELEASE_FINISH_OPTIONS,
+        validate: validateReleaseFinishOptions,
+        run: options => runReleaseFinish(options, api.finishRelease, api.continueRelease, api.abortRelease)
+    },
+    'support-start': {
+        summary: 'Create a support branch for an older release line from its latest release tag',
+        usage: 'support-start <major.minor>',
+        options: [
+            { name: 'version', type: String, defaultOption: true, typeLabel: '<major.minor>', description: 'Release line, e.g. 2.3' },
+            DRY_RUN_OPTION
+        ],
+        run: options => api.startSupport({ version: options.version || '', dryRun: options['dry-run'] })
+    },
+    'hotfix-start': {
+        summary: 'Create a hotfix branch from main or a support branch',
+        usage: 'hotfix-start [<name>] [--base support/<major.minor>]',
+        options: [
+            { name: 'name', type: String, defaultOption: true, typeLabel: '<name>', description: 'Hotfix name, the branch is named hotfix/<name>' },
+            { name: 'base', type: String, typeLabel: '<branch>', description: 'Branch to fix, main or a support branch' },
+            SIGN_OPTION,
+            DRY_RUN_OPTION
+        ],
+        run: options => api.startHotfix({ name: options.name || undefined, base: options.base, sign: options.sign, dryRun: options['dry-run'] })
+    },
+    'hotfix-finish': {
+        summary: 'Merge the current hotfix branch to main and back to develop',
+        usage: 'hotfix-finish [--no-version-check <package> ...] [--pin] | --continue | --abort',
+        options: RELEASE_FINISH_OPTIONS,
+        validate: validateReleaseFinishOptions,
+        run: options => runReleaseFinish(options, api.finishHotfix, api.continueHotfix, api.abortHotfix)
+    },
+    'update-lock-file': {
+        summary: 'Update lock file entries of an npm scope',
+        usage: 'update-lock-file <scope>',
+        options: [
+            { name: 'scope', alias: 's', type: String, defaultOption: true, typeLabel: '<scope>', description: 'npm scope, e.g. @company' },
+            DRY_RUN_OPTION
+        ],
+        validate: options => !options.scope && 'npm scope is required',
+        run: options => api.updateLockFile({ scopes: options.scope, dryRun: options['dry-run'] })
+    },
+    'publish': {
+        summary: 'Publish the packages with the dist-tag of the current branch type',
+        usage: 'publish [--registry <url>]',
+        options: [
+            { name: 'registry', type: String, typeLabel: '<url>', description: 'Registry URL, overrides the configured registry' },
+            DRY_RUN_OPTION
+        ],
+        validate: options => options.registry === null && '--registry requires a URL',
+        run: options => api.publish({ registry: options.registry, dryRun: options['dry-run'] })
+    },
+    'hooks': {
+        summary: 'Install git hooks validating dependency versions by the rules of the branch type',
+        usage: 'hooks install | hooks run pre-commit|pre-push',
+        options: [
+            { name: 'action', type: String, multiple: true, defaultOption: true, typeLabel: 'install | run <hook>', description: "'install' writes pre-commit and pre-push hooks, 'run' is called by the hooks" },
+            DRY_RUN_OPTION
+        ],
+        validate: validateHooksOptions,
+        run: runHooks
+    },
+    'validate-dependencies': {
+        summary: 'Validate dependency versions by the rules of the branch type',
+        usage: 'validate-dependencies [--branch-type <type>] [--no-version-check <package> ...] [--json | --junit]',
+        options: [
+            { name: 'branch-type', type: String, typeLabel: '<type>', description: 'Branch type (main, support, release, hotfix, develop, feature, bugfix), the type of the current branch by default' },
+            { name: 'no-version-check', type: String, multiple: true, typeLabel: '<package> ...', description: 'Packages to exclude from validation' },
+            { name: 'json', type: Boolean, description: 'Print the report as JSON' },
+            { name: 'junit', type: Boolean, description: 'Print the report as JUnit XML' }
+        ],
+        validate: validateDependencyReportOptions,
+        run: options => api.validateDependencies({
+            branchType: options['branch-type'],
+            excludePackages: options['no-version-check'] || [],
+            logger: { log: () => {}, error: console.error }
+        }).then(report => {
+            console.log(options.json ? JSON.stringify(report, null, 2) : options.junit ? formatJUnitReport(report) : formatDependencyReport(report));
+            // process.exit could cut off the report written to a pipe
+            process.exitCode = report.valid ? 0 : 1;
+        })
+    },
+    'status': {
+        summary: 'Print the flow state of the repository',
+        usage: 'status [--json]',
+        options: [
+            { name: 'json', type: Boolean, description: 'Print the status as JSON' }
+        ],
+        // Progress messages of the git helpers are not part of the report
+        run: options => api.getStatus({ logger: { log: () => {}, error: console.error } })
+            .then(status => console.log(options.json ? JSON.stringify(status, null, 2) : formatFlowStatus(status)))
+    }
+};
+
+/**
+ * Validates feature-finish and bugfix-finish options
+ *
+ * @param {Object} options - Parsed options
+ * @returns {string|false} The error message or false if the options are valid
+ */
+function validateTopicFinishOptions(options) {
+    if (options.strategy === null) {
+        return `--strategy requires a strategy: ${FINISH_STRATEGIES.join(', ')}`;
+    }
+    if (options.strategy !== undefined && !FINISH_STRATEGIES.includes(options.strategy)) {
+        return `Unknown strategy '${options.strategy}', supported strategies are: ${FINISH_STRATEGIES.join(', ')}`;
+    }
+    if (options['via-pr'] && (options.strategy === 'rebase' || options.strategy === 'ff-only')) {
+        return `--strategy ${options.strategy} cannot be used with --via-pr`;
+    }
+    return options.squash && options.strategy && options.strategy !== 'squash' && `--squash flag cannot be used with --strategy ${options.strategy}`;
+}
+
+/**
+ * Validates release-finish and hotfix-finish options
+ *
+ * @param {Object} options - Parsed options
+ * @returns {string|false} The error message or false if the options are valid
+ */
+function validateReleaseFinishOptions(options) {
+    if (options['no-version-check'] && options['no-version-check'].length === 0) {
+        return '--no-version-check flag requires at least one package to be specified';
+    }
+    if (options.pin && (options.continue || options.abort)) {
+        return '--pin flag cannot be used with --continue or --abort';
+    }
+    return options.continue && options.abort && '--continue and --abort flags cannot be used together';
+}
+
+/**
+ * Validates validate-dependencies command arguments
+ *
+ * @param {Object} options - Parsed options
+ * @returns {string|undefined} The error message if the arguments are invalid
+ */
+function validateDependencyReportOptions(options) {
+    if (options['branch-type'] === null) {
+        return '--branch-type requires a branch type';
+    }
+    if (options['no-version-check'] && options['no-version-check'].length === 0) {
+        return '--no-version-check flag requires at least one package to be specified';
+    }
+    return options.json && options.junit && '--json and --junit flags cannot be used together';
+}
+
+/**
+ * Validates hooks command arguments
+ *
+ * @param {Object} options - Parsed options
+ * @returns {string|undefined} The error message if the arguments are invalid
+ */
+function validateHooksOptions(options) {
+    const [action, hookName, ...rest] = options.action || [];
+    if (action === 'install') {
+        return hookName !== undefined && `Unknown argument '${hookName}'`;
+    }
+    if (action === 'run') {
+        if (!HOOKS.includes(hookName)) {
+            return `hook name is required: ${HOOKS.join(', ')}`;
+        }
+        return rest.length > 0 && `Unknown argument '${rest[0]}'`;
+    }
+    return action ? `Unknown action '${action}'` : 'action is required: install or run';
+}
+
+/**
+ * Installs the hooks or runs the validation of a hook.
+ * The pre-push hook gets the refs to push on the standard input.
+ *
+ * @param {Object} options - Parsed options
+ * @returns {Promise<*>} A promise that resolves when the hooks are installed or validation passed
+ */
+function runHooks(options) {
+    const [action, hookName] = options.action;
+    if (action === 'install') {
+        return api.installHooks({ dryRun: options['dry-run'] });
+    }
+    return (hookName === 'pre-push' ? readStandardInput() : Promise.resolve(''))
+        // Progress messages of the git helpers are not shown on every commit and push
+        .then(input => api.runHook({ hook: hookName, input, logger: { log: () => {}, error: console.error } }));
+}
+
+/**
+ * Reads the standard input to the end
+ *
+ * @returns {Promise<string>} A promise that resolves with the input
+ */
+function readStandardInput() {
+    return new Promise((resolve, reject) => {
+        let input = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin
+            .on('data', chunk => {
+                input += chunk;
+            })
+            .on('end', () => resolve(input))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Runs the finish, continue or abort workflow of a release or hotfix
+ *
+ * @param {Object} options - Parsed options
+ * @param {Function} finish - The finish workflow
+ * @param {Function} resume - The continue workflow
+ * @param {Function} abort - The abort workflow
+ * @returns {Promise<*>} A promise that resolves when the workflow is complete
+ */
+function runReleaseFinish(options, finish, resume, abort) {
+    const workflowOptions = { sign: options.sign, dryRun: options['dry-run'] };
+    if (options.continue) {
+        return resume(workflowOptions);
+    }
+    if (options.abort) {
+        return abort(workflowOptions);
+    }
+    return finish(Object.assign({ excludePackages: options['no-version-check'] || [], pin: options.pin }, workflowOptions));
+}
+
+/**
+ * Runs the gitflow CLI: 'gitflow <command> [options]', 'gitflow completion [bash|zsh]', --help and --version
+ *
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ */
+function runCli(argv) {
+    const [commandName, ...commandArgv] = argv;
+
+    if (commandName === undefined || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+        const helpCommand = commandName === 'help' && commandArgv[0];
+        if (helpCommand && COMMANDS[helpCommand]) {
+            return console.log(formatCommandUsage(helpCommand));
+        }
+        if (commandName === undefined) {
+            console.error(formatUsage());
+            process.exit(1);
+        }
+        return console.log(formatUsage());
+    }
+    if (commandName === '--version' || commandName === '-v') {
+        return console.log(require('../package.json').version);
+    }
+    if (commandName === 'completion') {
+        return printCompletionScript(commandArgv[0]);
+    }
+    if (!COMMANDS[commandName]) {
+        return exitWithUsageError(`Unknown command '${commandName}'`, `Run '${PROGRAM_NAME} --help' for the list of commands.`);
+    }
+    runCommand(commandName, commandArgv);
+}
+
+/**
+ * Parses the arguments and runs the command. Prints the command usage with --help.
+ * Exits with a non-zero code on unknown options, invalid arguments and workflow failures.
+ *
+ * @param {string} commandName - The command name, e.g. feature-start
+ * @param {string[]} argv - Command arguments
+ */
+function runCommand(commandName, argv) {
+    const command = COMMANDS[commandName];
+    let options;
+
+    try {
+        options = commandLineArgs([...command.options, HELP_OPTION], { argv });
+    } catch (err) {
+        const argument = err.optionName || err.value;
+        return exitWithUsageError(
+            argument ? `Unknown ${err.optionName ? 'option' : 'argument'} '${argument}'` : err.message,
+            `Run '${PROGRAM_NAME} ${commandName} --help' for usage.`
+        );
+    }
+
+    if (options.help) {
+        return console.log(formatCommandUsage(commandName));
+    }
+    const error = command.validate && command.validate(options);
+    if (error) {
+        return exitWithUsageError(error, `Run '${PROGRAM_NAME} ${commandName} --help' for usage.`);
+    }
+    command.run(options).catch(handleError);
+}
+
+/**
+ * Prints the error with a hint and exits with code 1
+ *
+ * @param {string} message - The error message
+ * @param {string} hint - How to get usage help
+ */
+function exitWithUsageError(message, hint) {
+    console.error(`Error: ${message}`);
+    console.error(hint);
+    process.exit(1);
+}
+
+/**
+ * Formats the list of commands
+ *
+ * @returns {string} The usage text
+ */
+function formatUsage() {
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    return [
+        `Usage: ${PROGRAM_NAME} <command> [options]`,
+        '',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+        '',
+        'Other:',
+        `  ${PROGRAM_NAME} <command> --help       Print usage of the command`,
+        `  ${PROGRAM_NAME} completion [bash|zsh]  Print the shell completion script`,
+        `  ${PROGRAM_NAME} --version              Print the version`
+    ].join('\n');
+}
+
+/**
+ * Formats usage of the command with its options
+ *
+ * @param {string} commandName - The command name
+ * @returns {string} The usage text
+ */
+function formatCommandUsage(commandName) {
+    const command = COMMANDS[commandName];
+    const optionLines = [...command.options, HELP_OPTION]
+        .filter(option => !option.defaultOption)
+        .map(option => {
+            const flags = (option.alias ? `-${option.alias}, ` : '') + `--${option.name}` + (option.typeLabel ? ` ${option.typeLabel}` : '');
+            return [flags, option.description];
+        });
+    const width = Math.max(...optionLines.map(([flags]) => flags.length));
+    return [
+        `Usage: ${PROGRAM_NAME} ${command.usage}`,
+        '',
+        command.summary,
+        '',
+        'Options:',
+        ...optionLines.map(([flags, description]) => `  ${flags.padEnd(width)}  ${description}`)
+    ].join('\n');
+}
+
+/**
+ * Prints the completion script for the shell
+ *
+ * @param {string} [shell] - 'bash' (default) or 'zsh'
+ */
+function printCompletionScript(shell = 'bash') {
+    if (shell !== 'bash' && shell !== 'zsh') {
+        return exitWithUsageError(`Unsupported shell '${shell}', supported shells are: bash, zsh`, `Run '${PROGRAM_NAME} --help' for usage.`);
+    }
+    const commandOptions = Object.entries(COMMANDS).map(([name, command]) => {
+        const flags = [...command.options, HELP_OPTION]
+            .filter(option => !option.defaultOption)
+            .map(option => `--${option.name}`);
+        return `        ${name}) options="${flags.join(' ')}" ;;`;
+    });
+    console.log([
+        `# ${PROGRAM_NAME} completion, add to ~/.${shell}rc: eval "$(${PROGRAM_NAME} completion ${shell})"`,
+        ...(shell === 'zsh' ? ['autoload -U +X bashcompinit && bashcompinit'] : []),
+        `_${PROGRAM_NAME}_completion() {`,
+        '    local current="${COMP_WORDS[COMP_CWORD]}"',
+        '    local options=""',
+        '    if [ "$COMP_CWORD" -eq 1 ]; then',
+        `        COMPREPLY=($(compgen -W "${Object.keys(COMMANDS).join(' ')} completion --help --version" -- "$current"))`,
+        '        return',
+        '    fi',
+        '    case "${COMP_WORDS[1]}" in',
+        ...commandOptions,
+        '        completion) options="bash zsh" ;;',
+        '    esac',
+        '    COMPREPLY=($(compgen -W "$options" -- "$current"))',
+        '}',
+        `complete -F _${PROGRAM_NAME}_completion ${PROGRAM_NAME}`
+    ].join('\n'));
+}
+
+module.exports = {
+    COMMANDS,
+    runCli,
+    runCommand
+};
@@ -0,0 +1,316 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCwd } = require('./context');
+const { ConfigError } = require('./errors');
+
+const CONFIG_FILE_NAME = '.gitflowrc.json';
+const PACKAGE_JSON_KEY = 'gitflow';
+const VERSION_PLACEHOLDER = '{version}';
+const PIN_STYLES = ['caret', 'exact'];
+
+const DEFAULT_CONFIG = {
+    remote: 'origin',
+    branches: {
+        main: 'main',
+        develop: 'develop',
+        release: 'release',
+        hotfix: 'hotfix'
+    },
+    prefixes: {
+        feature: 'feature/',
+        bugfix: 'bugfix/',
+        support: 'support/'
+    },
+    tagFormat: VERSION_PLACEHOLDER,
+    changelog: 'CHANGELOG.md',
+    registry: null,
+    pinStyle: 'caret',
+    sign: false,
+    pullRequests: {
+        provider: null,
+        baseUrl: null,
+        repository: null
+    }
+};
+
+const cachedConfigs = new Map();
+
+/**
+ * Returns the gitflow configuration of the project in the current directory.
+ * The configuration is loaded and validated once per project directory.
+ *
+ * @returns {Object} The merged and validated configuration
+ * @throws {ConfigError} If the configuration cannot be read or is invalid
+ */
+function getConfig() {
+    const cwd = getCwd();
+    if (!cachedConfigs.has(cwd)) {
+        cachedConfigs.set(cwd, loadConfig(cwd));
+    }
+    return cachedConfigs.get(cwd);
+}
+
+/**
+ * Loads configuration from .gitflowrc.json or the "gitflow" key of package.json,
+ * merges it with defaults and validates the result
+ *
+ * @param {string} cwd - The project root directory
+ * @returns {Object} The merged and validated configuration
+ * @throws {ConfigError} If the configuration cannot be read or is invalid
+ */
+function loadConfig(cwd) {
+    const rcPath = path.resolve(cwd, CONFIG_FILE_NAME);
+    const packageJsonPath = path.resolve(cwd, 'package.json');
+
+    let userConfig = {};
+    let source = null;
+
+    const packageJsonConfig = fs.existsSync(packageJsonPath)
+        ? readJsonFile(packageJsonPath)[PACKAGE_JSON_KEY]
+        : undefined;
+
+    if (fs.existsSync(rcPath)) {
+        if (packageJsonConfig !== undefined) {
+            throw new ConfigError(`Gitflow configuration is defined both in ${CONFIG_FILE_NAME} and in the "${PACKAGE_JSON_KEY}" key of package.json. Please keep only one of them.`);
+        }
+        userConfig = readJsonFile(rcPath);
+        source = CONFIG_FILE_NAME;
+    } else if (packageJsonConfig !== undefined) {
+        userConfig = packageJsonConfig;
+        source = `"${PACKAGE_JSON_KEY}" key of package.json`;
+    }
+
+    const errors = validateConfig(userConfig);
+    if (errors.length > 0) {
+        throw new ConfigError(`Invalid gitflow configuration in ${source}:\n` + errors.map(error => `  - ${error}`).join('\n'));
+    }
+
+    return mergeConfig(DEFAULT_CONFIG, userConfig);
+}
+
+/**
+ * Reads and parses a JSON file
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Parsed content
+ * @throws {ConfigError} If the file is not valid JSON
+ * @private
+ */
+function readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new ConfigError(`Unable to read gitflow configuration from ${path.basename(filePath)}: ${err.message}`);
+    }
+}
+
+/**
+ * Validates user configuration against the supported schema
+ *
+ * @param {Object} userConfig - Configuration provided by the user
+ * @returns {string[]} List of validation errors, empty if configuration is valid
+ */
+function validateConfig(userConfig) {
+    const errors = [];
+
+    if (!isPlainObject(userConfig)) {
+        return ['configuration must be a JSON object'];
+    }
+
+    Object.keys(userConfig)
+        .filter(key => !(key in DEFAULT_CONFIG))
+        .forEach(key => errors.push(`unknown option "${key}", supported options are: ${Object.keys(DEFAULT_CONFIG).join(', ')}`));
+
+    if ('remote' in userConfig && !isNonEmptyString(userConfig.remote)) {
+        errors.push('"remote" must be a non-empty string');
+    }
+
+    ['branches', 'prefixes'].forEach(group => {
+        if (!(group in userConfig)) {
+            return;
+        }
+        if (!isPlainObject(userConfig[group])) {
+            errors.push(`"${group}" must be an object`);
+            return;
+        }
+        Object.entries(userConfig[group]).forEach(([key, value]) => {
+            if (!(key in DEFAULT_CONFIG[group])) {
+                errors.push(`unknown option "${group}.${key}", supported options are: ${Object.keys(DEFAULT_CONFIG[group]).join(', ')}`);
+            } else if (!isNonEmptyString(value) || !isValidBranchName(value)) {
+                errors.push(`"${group}.${key}" must be a valid git branch name, got ${JSON.stringify(value)}`);
+            }
+        });
+    });
+
+    if (isPlainObject(userConfig.branches)) {
+        const branches = Object.values(Object.assign({}, DEFAULT_CONFIG.branches, userConfig.branches));
+        const duplicates = branches.filter((branch, index) => branches.indexOf(branch) !== index);
+        if (duplicates.length > 0) {
+            errors.push(`"branches" must use distinct names, duplicated: ${[...new Set(duplicates)].join(', ')}`);
+        }
+    }
+
+    if ('changelog' in userConfig && userConfig.changelog !== false && !isNonEmptyString(userConfig.changelog)) {
+        errors.push(`"changelog" must be a file path or false, got ${JSON.stringify(userConfig.changelog)}`);
+    }
+
+    if ('registry' in userConfig && userConfig.registry !== null && !isHttpUrl(userConfig.registry)) {
+        errors.push(`"registry" must be an http(s) URL or null, got ${JSON.stringify(userConfig.registry)}`);
+    }
+
+    if ('sign' in userConfig && typeof userConfig.sign !== 'boolean') {
+        errors.push(`"sign" must be a boolean, got ${JSON.stringify(userConfig.sign)}`);
+    }
+
+    if ('pullRequests' in userConfig) {
+        errors.push(...validatePullRequestsConfig(userConfig.pullRequests));
+    }
+
+    if ('pinStyle' in userConfig && !PIN_STYLES.includes(userConfig.pinStyle)) {
+        errors.push(`"pinStyle" must be one of ${PIN_STYLES.join(', ')}, got ${JSON.stringify(userConfig.pinStyle)}`);
+    }
+
+    if ('tagFormat' in userConfig) {
+        if (!isNonEmptyString(userConfig.tagFormat) || !userConfig.tagFormat.includes(VERSION_PLACEHOLDER)) {
+            errors.push(`"tagFormat" must be a string containing the ${VERSION_PLACEHOLDER} placeholder, got ${JSON.stringify(userConfig.tagFormat)}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validates the pull request options
+ *
+ * @param {*} pullRequests - The "pullRequests" option provided by the user
+ * @returns {string[]} List of validation errors
+ * @private
+ */
+function validatePullRequestsConfig(pullRequests) {
+    if (!isPlainObject(pullRequests)) {
+        return ['"pullRequests" must be an object'];
+    }
+    const errors = Object.keys(pullRequests)
+        .filter(key => !(key in DEFAULT_CONFIG.pullRequests))
+        .map(key => `unknown option "pullRequests.${key}", supported options are: ${Object.keys(DEFAULT_CONFIG.pullRequests).join(', ')}`);
+
+    if ('provider' in pullRequests && pullRequests.provider !== null && !isNonEmptyString(pullRequests.provider)) {
+        errors.push(`"pullRequests.provider" must be a provider name (github, gitlab, bitbucket) or null, got ${JSON.stringify(pullRequests.provider)}`);
+    }
+    if ('baseUrl' in pullRequests && pullRequests.baseUrl !== null && !isHttpUrl(pullRequests.baseUrl)) {
+        errors.push(`"pullRequests.baseUrl" must be an http(s) URL or null, got ${JSON.stringify(pullRequests.baseUrl)}`);
+    }
+    if ('repository' in pullRequests && pullRequests.repository !== null && !/^[^\s/]+(\/[^\s/]+)+$/.test(pullRequests.repository)) {
+        errors.push(`"pullRequests.repository" must be a repository path (e.g. "company/project") or null, got ${JSON.stringify(pullRequests.repository)}`);
+    }
+    return errors;
+}
+
+/**
+ * Merges user configuration with defaults
+ *
+ * @param {Object} defaults - Default configuration
+ * @param {Object} userConfig - Validated user configuration
+ * @returns {Object} Merged configuration
+ * @private
+ */
+function mergeConfig(defaults, userConfig) {
+    return {
+        remote: userConfig.remote || defaults.remote,
+        branches: Object.assign({}, defaults.branches, userConfig.branches),
+        prefixes: Object.assign({}, defaults.prefixes, userConfig.prefixes),
+        tagFormat: userConfig.tagFormat || defaults.tagFormat,
+        changelog: 'changelog' in userConfig ? userConfig.changelog : defaults.changelog,
+        registry: userConfig.registry || defaults.registry,
+        pinStyle: userConfig.pinStyle || defaults.pinStyle,
+        sign: 'sign' in userConfig ? userConfig.sign : defaults.sign,
+        pullRequests: Object.assign({}, defaults.pullRequests, userConfig.pullRequests)
+    };
+}
+
+/**
+ * Formats a git tag name for the version according to the configured tag format
+ *
+ * @param {string} version - The version to tag
+ * @returns {string} The tag name
+ */
+function formatTag(version) {
+    return getConfig().tagFormat.split(VERSION_PLACEHOLDER).join(version);
+}
+
+/**
+ * Returns the glob pattern matching release tags
+ *
+ * @returns {string} The tag pattern for 'git describe --match' and 'git tag --list'
+ */
+function getTagPattern() {
+    return getConfig().tagFormat.split(VERSION_PLACEHOLDER).join('*');
+}
+
+/**
+ * Extracts the version from a release tag name
+ *
+ * @param {string} tag - The tag name
+ * @returns {string|null} The version or null if the tag does not match the tag format
+ */
+function parseTag(tag) {
+    const [prefix, suffix] = getConfig().tagFormat.split(VERSION_PLACEHOLDER);
+    if (!tag.startsWith(prefix) || !tag.endsWith(suffix) || tag.length <= prefix.length + suffix.length) {
+        return null;
+    }
+    return tag.slice(prefix.length, tag.length - suffix.length);
+}
+
+/**
+ * Returns the full branch name for a topic or support branch
+ *
+ * @param {string} branchType - The type of branch (feature, bugfix, support)
+ * @param {string} branchName - The name for the branch
+ * @returns {string} The branch name including the configured prefix
+ */
+function getTopicBranchName(branchType, branchName) {
+    return `${getConfig().prefixes[branchType]}${branchName}`;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isHttpUrl(value) {
+    return isNonEmptyString(value) && /^https?:\/\/\S+$/.test(value);
+}
+
+function isValidBranchName(value) {
+    return !value.startsWith('-') && !value.includes('..') && !/[\s~^:?*\[\\]/.test(value);
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    getConfig,
+    loadConfig,
+    validateConfig,
+    formatTag,
+    getTagPattern,
+    parseTag,
+    getTopicBranchName
+};
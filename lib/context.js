@@ -0,0 +1,68 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+
+let currentContext = {
+    cwd: null,
+    logger: console
+};
+
+/**
+ * Returns the project root directory of the running workflow
+ *
+ * @returns {string} The project root directory
+ */
+function getCwd() {
+    return currentContext.cwd || process.cwd();
+}
+
+/**
+ * Runs the action with the specified project directory and logger.
+ * Workflows share the context, so they must not run concurrently in one process.
+ *
+ * @param {Object} options - Context options
+ * @param {string} [options.cwd] - The project root directory, defaults to the process working directory
+ * @param {Object} [options.logger] - Logger with console compatible log and error methods, defaults to console
+ * @param {Function} action - The action returning a promise
+ * @returns {Promise<*>} A promise that resolves with the action result
+ */
+function runInContext(options, action) {
+    const previousContext = currentContext;
+    currentContext = {
+        cwd: path.resolve(options.cwd || process.cwd()),
+        logger: options.logger || console
+    };
+    return Promise.resolve()
+        .then(action)
+        .finally(() => {
+            currentContext = previousContext;
+        });
+}
+
+/**
+ * Logger delegating to the logger of the running workflow
+ */
+const logger = {
+    log: (...args) => currentContext.logger.log(...args),
+    error: (...args) => currentContext.logger.error(...args)
+};
+
+module.exports = {
+    getCwd,
+    runInContext,
+    logger
+};
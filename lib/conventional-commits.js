@@ -0,0 +1,103 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { getTagPattern } = require('./config');
+
+const HEADER_PATTERN = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+const BREAKING_CHANGE_PATTERN = /^BREAKING[ -]CHANGE:\s*([\s\S]+)/m;
+
+/**
+ * Parses a commit message according to the Conventional Commits specification
+ * 
+ * @param {string} message - The commit subject line
+ * @param {string} [body] - The commit body including footers
+ * @returns {Object|null} Parsed commit (type, scope, subject, breaking, breakingNote) or null if the message does not conform
+ */
+function parseCommit(message, body = '') {
+    const match = HEADER_PATTERN.exec(message.trim());
+    if (!match) {
+        return null;
+    }
+    const breakingMatch = BREAKING_CHANGE_PATTERN.exec(body);
+    return {
+        type: match[1].toLowerCase(),
+        scope: match[2] || null,
+        subject: match[4].trim(),
+        breaking: Boolean(match[3] || breakingMatch),
+        breakingNote: breakingMatch ? breakingMatch[1].trim().split('\n')[0] : null
+    };
+}
+
+/**
+ * Finds the latest release tag reachable from the reference
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} ref - The reference to search from
+ * @returns {Promise<string|null>} A promise that resolves with the tag or null if there is no release tag
+ */
+function getLastReleaseTag(git, ref) {
+    return git.raw(['describe', '--tags', '--abbrev=0', '--match', getTagPattern(), ref])
+        .then(tag => tag.trim() || null)
+        .catch(() => null);
+}
+
+/**
+ * Collects commits conforming to Conventional Commits between the last release tag and the reference
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} ref - The last commit reference (e.g. release branch)
+ * @param {string} [tagRef] - The reference to search the last release tag from, defaults to ref
+ * @returns {Promise<{tag: string|null, commits: Array}>} A promise that resolves with the last tag and parsed commits (newest first)
+ */
+function getCommitsSinceLastRelease(git, ref, tagRef = ref) {
+    return getLastReleaseTag(git, tagRef)
+        .then(tag => git.log([tag ? `${tag}..${ref}` : ref])
+            .then(log => ({
+                tag,
+                commits: log.all
+                    .map(entry => {
+                        const parsed = parseCommit(entry.message, entry.body);
+                        return parsed && Object.assign({ hash: entry.hash }, parsed);
+                    })
+                    .filter(Boolean)
+            })));
+}
+
+/**
+ * Determines the release bump from Conventional Commits: major for breaking changes,
+ * minor if there are features and patch otherwise
+ * 
+ * @param {Array} commits - Parsed Conventional Commits
+ * @returns {{bump: string, reasons: Array<{bump: string, commit: Object}>}} The bump and commits that triggered it
+ */
+function getReleaseBump(commits) {
+    const breaking = commits.filter(commit => commit.breaking);
+    if (breaking.length > 0) {
+        return { bump: 'major', reasons: breaking.map(commit => ({ bump: 'major', commit })) };
+    }
+    const features = commits.filter(commit => commit.type === 'feat');
+    if (features.length > 0) {
+        return { bump: 'minor', reasons: features.map(commit => ({ bump: 'minor', commit })) };
+    }
+    return { bump: 'patch', reasons: commits.map(commit => ({ bump: 'patch', commit })) };
+}
+
+module.exports = {
+    parseCommit,
+    getLastReleaseTag,
+    getCommitsSinceLastRelease,
+    getReleaseBump
+};
@@ -0,0 +1,143 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const { getCurrentBranchName } = require('./git-utils');
+const { getPackageJsonFiles } = require('./workspaces');
+const { readManifest } = require('./manifest');
+const { getBranchType } = require('./status');
+const { BRANCH_TYPES, findInvalidDependencies, getAllowedVersions } = require('./validate-dependencies');
+const { getCwd } = require('./context');
+const { InvalidArgumentError, InvalidBranchError } = require('./errors');
+
+/**
+ * Validates dependencies of the root, workspace and Lerna packages by the rules of the branch type without failing,
+ * every violation is reported with the package.json file it was found in
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} [branchType] - The branch type, inferred from the current branch if not specified
+ * @param {Set<string>} [excludePackages] - Set of package names to exclude from validation
+ * @returns {Promise<Object>} A promise that resolves with the report: branchType, allowed versions, validated files, valid
+ * and violations ([{file, section, package, found, allowed}])
+ */
+function createDependencyReport(git, branchType, excludePackages = new Set()) {
+    if (branchType && !BRANCH_TYPES.includes(branchType)) {
+        return Promise.reject(new InvalidArgumentError(`Unknown branch type '${branchType}', supported types are: ${BRANCH_TYPES.join(', ')}`));
+    }
+
+    return (branchType ? Promise.resolve(branchType) : inferBranchType(git)).then(targetBranchType => {
+        const allowed = getAllowedVersions(targetBranchType);
+        const files = getPackageJsonFiles();
+        const violations = files.flatMap(file => {
+            const packageJson = readManifest(path.resolve(getCwd(), file)).data;
+            return findInvalidDependencies(targetBranchType, excludePackages, packageJson)
+                .map(({ section, name, version }) => ({ file, section, package: name, found: version, allowed }));
+        });
+        return { branchType: targetBranchType, allowed, files, valid: violations.length === 0, violations };
+    });
+}
+
+/**
+ * Determines the branch type of the current branch
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<string>} A promise that resolves with the branch type, rejects with InvalidBranchError for branches outside the flow
+ * @private
+ */
+function inferBranchType(git) {
+    return getCurrentBranchName(git).then(branch => {
+        const branchType = getBranchType(branch);
+        if (!branchType) {
+            throw new InvalidBranchError(branch, `Cannot infer the branch type of ${branch}, specify the branch type: ${BRANCH_TYPES.join(', ')}`);
+        }
+        return branchType;
+    });
+}
+
+/**
+ * Formats the report for the terminal
+ * 
+ * @param {Object} report - The report returned by createDependencyReport
+ * @returns {string} The report lines
+ */
+function formatDependencyReport(report) {
+    const { branchType, allowed, files, violations } = report;
+    if (report.valid) {
+        return `Dependencies of ${files.length} package.json file(s) are allowed for ${branchType} branches`;
+    }
+    const lines = [`Dependencies rejected for ${branchType} branches (allowed: ${allowed.join(', ')}):`];
+    files.forEach(file => {
+        const fileViolations = violations.filter(violation => violation.file === file);
+        if (fileViolations.length > 0) {
+            lines.push(`  ${file}`);
+            fileViolations.forEach(violation => lines.push(`    - ${violation.section}: ${violation.package}@${violation.found}`));
+        }
+    });
+    lines.push(`${violations.length} violation(s) in ${new Set(violations.map(violation => violation.file)).size} of ${files.length} package.json file(s)`);
+    return lines.join('\n');
+}
+
+/**
+ * Formats the report as a JUnit XML document with a test case per package.json file
+ * 
+ * @param {Object} report - The report returned by createDependencyReport
+ * @returns {string} The XML document
+ */
+function formatJUnitReport(report) {
+    const { branchType, allowed, files, violations } = report;
+    const failedFiles = new Set(violations.map(violation => violation.file));
+    const testCases = files.map(file => {
+        const fileViolations = violations.filter(violation => violation.file === file);
+        const testCase = `    <testcase classname="validate-dependencies.${escapeXml(branchType)}" name="${escapeXml(file)}"`;
+        if (fileViolations.length === 0) {
+            return `${testCase}/>`;
+        }
+        const details = fileViolations
+            .map(violation => `${violation.section}: ${violation.package}@${violation.found} (allowed: ${allowed.join(', ')})`)
+            .join('\n');
+        return [
+            `${testCase}>`,
+            `      <failure type="DependencyValidationError" message="${escapeXml(`${fileViolations.length} dependency version(s) not allowed for ${branchType} branches`)}">${escapeXml(details)}</failure>`,
+            '    </testcase>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="validate-dependencies" tests="${files.length}" failures="${failedFiles.size}">`,
+        `  <testsuite name="dependencies (${escapeXml(branchType)})" tests="${files.length}" failures="${failedFiles.size}">`,
+        ...testCases,
+        '  </testsuite>',
+        '</testsuites>'
+    ].join('\n');
+}
+
+/**
+ * Escapes a value for XML attributes and text
+ *
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped value
+ * @private
+ */
+function escapeXml(value) {
+    return String(value).replace(/[<>&"']/g, character => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[character]);
+}
+
+module.exports = {
+    createDependencyReport,
+    formatDependencyReport,
+    formatJUnitReport
+};
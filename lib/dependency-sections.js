@@ -0,0 +1,146 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Sections mapping package names to versions
+ */
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Collects dependency entries from all package.json sections that can reference dist-tags:
+ * dependency sections, npm overrides (including nested overrides), Yarn resolutions and pnpm overrides.
+ * Every entry can be updated in place with its set method.
+ * 
+ * @param {Object} packageJson - The package.json content
+ * @returns {Array<{section: string, name: string, packageName: string, version: string, set: Function}>} Dependency entries.
+ * Section names the place of the entry (e.g. 'optionalDependencies' or 'overrides > react'),
+ * name is the key in the section and packageName is the package it selects.
+ */
+function getDependencyEntries(packageJson) {
+    const entries = [];
+
+    DEPENDENCY_SECTIONS.forEach(section => collectFlatEntries(entries, section, packageJson[section]));
+    collectOverrideEntries(entries, 'overrides', packageJson.overrides, null);
+    collectFlatEntries(entries, 'resolutions', packageJson.resolutions);
+    collectFlatEntries(entries, 'pnpm.overrides', packageJson.pnpm && packageJson.pnpm.overrides);
+
+    return entries;
+}
+
+/**
+ * Collects entries of a section mapping package names or selectors to versions
+ * 
+ * @param {Array} entries - The entries to add to
+ * @param {string} section - The section name
+ * @param {Object} [dependencies] - The section content
+ * @private
+ */
+function collectFlatEntries(entries, section, dependencies) {
+    if (!isPlainObject(dependencies)) {
+        return;
+    }
+    Object.entries(dependencies).forEach(([name, version]) => {
+        if (typeof version === 'string') {
+            entries.push(createEntry(section, name, getPackageName(name), dependencies, name));
+        }
+    });
+}
+
+/**
+ * Collects entries of npm overrides. Nested objects override dependencies of the parent package,
+ * the '.' key of a nested object overrides the parent package itself.
+ * 
+ * @param {Array} entries - The entries to add to
+ * @param {string} section - The section name including parent packages
+ * @param {Object} [overrides] - The overrides object
+ * @param {string|null} parentName - The package overridden by the '.' key
+ * @private
+ */
+function collectOverrideEntries(entries, section, overrides, parentName) {
+    if (!isPlainObject(overrides)) {
+        return;
+    }
+    Object.entries(overrides).forEach(([name, version]) => {
+        if (isPlainObject(version)) {
+            collectOverrideEntries(entries, `${section} > ${name}`, version, name);
+        } else if (typeof version === 'string') {
+            const entryName = name === '.' && parentName ? parentName : name;
+            entries.push(createEntry(section, entryName, getPackageName(entryName), overrides, name));
+        }
+    });
+}
+
+/**
+ * Creates a dependency entry bound to its owner object
+ * 
+ * @param {string} section - The section name
+ * @param {string} name - The dependency name reported for the entry
+ * @param {string} packageName - The package selected by the entry
+ * @param {Object} owner - The object containing the version
+ * @param {string} key - The key of the version in the owner object
+ * @returns {Object} The dependency entry
+ * @private
+ */
+function createEntry(section, name, packageName, owner, key) {
+    return {
+        section,
+        name,
+        packageName,
+        version: owner[key],
+        set(newVersion) {
+            owner[key] = newVersion;
+            this.version = newVersion;
+        }
+    };
+}
+
+/**
+ * Extracts the selected package name from a dependency key or override selector,
+ * e.g. '@company/lib', '@company/lib@^1.0.0' (npm overrides), 'parent/@company/lib' (Yarn resolutions)
+ * or 'parent@1>@company/lib' (pnpm overrides)
+ * 
+ * @param {string} selector - The dependency key
+ * @returns {string} The package name
+ */
+function getPackageName(selector) {
+    const segments = selector.split('>').pop().split('/');
+    const isScoped = segments.length > 1 && segments[segments.length - 2].startsWith('@');
+    const name = segments.slice(isScoped ? -2 : -1).join('/');
+    const versionIndex = name.indexOf('@', 1);
+    return versionIndex === -1 ? name : name.slice(0, versionIndex);
+}
+
+/**
+ * Checks if the version references another dependency instead of specifying a version
+ * (e.g. '$react' in npm overrides)
+ * 
+ * @param {string} version - The dependency version
+ * @returns {boolean} True if the version is a reference
+ */
+function isDependencyReference(version) {
+    return version.startsWith('$');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    DEPENDENCY_SECTIONS,
+    getDependencyEntries,
+    getPackageName,
+    isDependencyReference
+};
@@ -0,0 +1,82 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { logger } = require('./context');
+
+let dryRun = false;
+let plannedActions = [];
+
+/**
+ * Enables or disables dry run mode. In dry run mode scripts record
+ * modifying git and npm operations instead of executing them.
+ *
+ * @param {boolean} enabled - Whether dry run mode is enabled
+ */
+function setDryRun(enabled) {
+    dryRun = Boolean(enabled);
+    plannedActions = [];
+}
+
+/**
+ * Checks if dry run mode is enabled
+ *
+ * @returns {boolean} True if modifying operations must be only recorded
+ */
+function isDryRun() {
+    return dryRun;
+}
+
+/**
+ * Records planned actions instead of executing them
+ *
+ * @param {...string} actions - Descriptions of the actions in order of execution
+ * @returns {Promise<void>} A promise that resolves immediately
+ */
+function recordAction(...actions) {
+    plannedActions.push(...actions);
+    return Promise.resolve();
+}
+
+/**
+ * Returns actions recorded so far
+ *
+ * @returns {string[]} Descriptions of the planned actions in order of execution
+ */
+function getPlannedActions() {
+    return [...plannedActions];
+}
+
+/**
+ * Prints the ordered plan of recorded actions if dry run mode is enabled
+ */
+function printPlan() {
+    if (!dryRun) {
+        return;
+    }
+    logger.log("\nDry run: no changes were made. Planned actions:");
+    if (plannedActions.length === 0) {
+        logger.log("  (none)");
+    }
+    plannedActions.forEach((action, index) => logger.log(`  ${index + 1}. ${action}`));
+}
+
+module.exports = {
+    setDryRun,
+    isDryRun,
+    recordAction,
+    getPlannedActions,
+    printPlan
+};
@@ -0,0 +1,170 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Base class for all errors raised by gitflow workflows
+ */
+class GitflowError extends Error {
+    /**
+     * @param {string} message - The error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Raised when the gitflow configuration is invalid
+ */
+class ConfigError extends GitflowError {}
+
+/**
+ * Raised when a command argument is missing or invalid
+ */
+class InvalidArgumentError extends GitflowError {}
+
+/**
+ * Raised when the working directory has uncommitted changes
+ */
+class DirtyWorkingTreeError extends GitflowError {
+    constructor() {
+        super("You have uncommitted changes in your working directory. Please commit or stash your changes before proceeding.");
+    }
+}
+
+/**
+ * Raised when a branch to be created already exists
+ */
+class BranchExistsError extends GitflowError {
+    /**
+     * @param {string} branch - The existing branch
+     * @param {string} [message] - The error message
+     */
+    constructor(branch, message = `Branch '${branch}' already exists.`) {
+        super(message);
+        this.branch = branch;
+    }
+}
+
+/**
+ * Raised when a workflow is run on a branch of a wrong type
+ */
+class InvalidBranchError extends GitflowError {
+    /**
+     * @param {string} branch - The current branch
+     * @param {string} message - The error message
+     */
+    constructor(branch, message) {
+        super(message);
+        this.branch = branch;
+    }
+}
+
+/**
+ * Raised when a version is not a valid semver version
+ */
+class InvalidVersionError extends GitflowError {
+    /**
+     * @param {string} version - The invalid version
+     * @param {string} [message] - The error message
+     */
+    constructor(version, message = `Invalid version format: ${version}`) {
+        super(message);
+        this.version = version;
+    }
+}
+
+/**
+ * Raised when dependencies use versions not allowed for the target branch type
+ */
+class DependencyValidationError extends GitflowError {
+    /**
+     * @param {string} targetBranchType - The branch type whose rules were violated
+     * @param {Array<{section: string, name: string, version: string}>} findings - Invalid dependencies with the package.json section they were found in
+     */
+    constructor(targetBranchType, findings) {
+        super(`Cannot proceed with ${targetBranchType} branch type rules. The following dependencies must be updated to allowed versions:\n` +
+            findings.map(finding => `  - ${finding.name}@${finding.version} (${finding.section})`).join('\n'));
+        this.targetBranchType = targetBranchType;
+        this.findings = findings;
+        this.invalidDependencies = [...new Set(findings.map(finding => `${finding.name}@${finding.version}`))];
+    }
+}
+
+/**
+ * Raised when a merge has conflicts which cannot be resolved automatically
+ */
+class MergeConflictError extends GitflowError {
+    /**
+     * @param {string[]} files - Files with conflicts to be resolved manually
+     * @param {string[]} [resolvedFiles] - Files with version and lock file conflicts resolved automatically
+     */
+    constructor(files, resolvedFiles = []) {
+        super(`Merge conflicts must be resolved manually in:\n` + files.map(file => `  - ${file}`).join('\n') +
+            (resolvedFiles.length > 0 ? `\nConflicts in ${resolvedFiles.join(', ')} were resolved automatically.` : ''));
+        this.files = files;
+        this.resolvedFiles = resolvedFiles;
+    }
+}
+
+/**
+ * Raised when signing is enabled but git has no signing key or a signature cannot be verified
+ */
+class SigningError extends GitflowError {}
+
+/**
+ * Raised when a pull request provider is not configured or its API request fails
+ */
+class PullRequestError extends GitflowError {}
+
+/**
+ * Raised when a workflow cannot be started, continued or aborted in the current state
+ */
+class WorkflowStateError extends GitflowError {}
+
+/**
+ * Raised when a resumable workflow fails partway. The workflow can be continued or aborted.
+ */
+class WorkflowInterruptedError extends GitflowError {
+    /**
+     * @param {string} commandName - The command running the workflow
+     * @param {string} step - The failed step
+     * @param {Error} cause - The error the step failed with
+     */
+    constructor(commandName, step, cause) {
+        super(`${cause.message}\n${commandName} was interrupted at step '${step}'. ` +
+            `Fix the problem and run '${commandName} --continue' to resume or '${commandName} --abort' to roll back.`);
+        this.step = step;
+        this.cause = cause;
+    }
+}
+
+module.exports = {
+    GitflowError,
+    ConfigError,
+    InvalidArgumentError,
+    DirtyWorkingTreeError,
+    BranchExistsError,
+    InvalidBranchError,
+    InvalidVersionError,
+    DependencyValidationError,
+    MergeConflictError,
+    SigningError,
+    PullRequestError,
+    WorkflowStateError,
+    WorkflowInterruptedError
+};
@@ -17,22 +17,33 @@
 const exec = require('child_process').exec;
 const fs = require('fs');
 const path = require('path');
+const { getConfig, formatTag, getTagPattern, getTopicBranchName } = require('./config');
+const { isDryRun, recordAction } = require('./dry-run');
+const { logger } = require('./context');
+const { resolveMergeConflicts } = require('./merge-conflicts');
+const { isSigningEnabled, getCommitSignOptions, verifyTagSignature } = require('./signing');
+const { GitflowError, DirtyWorkingTreeError, WorkflowStateError } = require('./errors');
 
 /**
- * Handles errors in a consistent way across all scripts
+ * Handles errors of command line scripts in a consistent way: prints the error and exits the process.
+ * Errors raised by gitflow workflows are printed without a stack trace.
  * 
  * @param {Error} err - The error to handle
  */
 function handleError(err) {
     if (err) {
-        console.log(err);
+        if (err instanceof GitflowError) {
+            console.error(`Error: ${err.message}`);
+        } else {
+            console.log(err);
+        }
         process.exit(1);
     }
 }
 
 /**
  * Checks if there are uncommitted changes in the working directory.
- * Fails the script with an error message if uncommitted changes are found.
+ * Rejects with DirtyWorkingTreeError if uncommitted changes are found.
  * 
  * @param {Object} git - The simple-git instance
  * @returns {Promise<void>} A promise that resolves if the working directory is clean
@@ -41,16 +52,14 @@ function checkUncommittedChanges(git) {
     return new Promise((resolve, reject) => {
         git.status((err, status) => {
             if (err) {
-                handleError(err);
+                return reject(err);
             }
             
             if (!status.isClean()) {
-                console.error("Error: You have uncommitted changes in your working directory.");
-                console.error("Please commit or stash your changes before proceeding.");
-                process.exit(1);
+                return reject(new DirtyWorkingTreeError());
             }
             
-            console.log("Working directory is clean. Proceeding...");
+            logger.log("Working directory is clean. Proceeding...");
             resolve();
         });
     });
@@ -63,11 +72,13 @@ function checkUncommittedChanges(git) {
  * @returns {Promise<string>} A promise that resolves with the current branch name
  */
 function getCurrentBranchName(git) {
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
         git.branch((err, data) => {
-            handleError(err);
+            if (err) {
+                return reject(err);
+            }
             let branch = data["current"];
-            console.log("Current branch: " + branch);
+            logger.log("Current branch: " + branch);
             resolve(branch);
         });
     });
@@ -81,14 +92,17 @@ function getCurrentBranchName(git) {
  * @returns {Promise<void>} A promise that resolves when the branch is switched and updated
  */
 function switchToBranchAndPull(git, branch) {
-    return new Promise(resolve => {
+    if (isDryRun()) {
+        return recordAction(`git checkout ${branch}`, 'git pull');
+    }
+    return new Promise((resolve, reject) => {
         git.checkout(branch)
             .then(() => git.pull())
             .then(() => {
-                console.log(`Switched to ${branch} and updated!`);
+                logger.log(`Switched to ${branch} and updated!`);
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
     });
 }
 
@@ -99,13 +113,61 @@ function switchToBranchAndPull(git, branch) {
  * @returns {Promise<void>} A promise that resolves when the release branch is created
  */
 function createReleaseBranch(git) {
-    return new Promise(resolve => {
-        git.checkoutBranch('release', 'develop')
+    const { branches } = getConfig();
+    if (isDryRun()) {
+        return recordAction(`git checkout -b ${branches.release} ${branches.develop}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.checkoutBranch(branches.release, branches.develop)
+            .then(() => {
+                logger.log("Create release branch");
+                resolve();
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Creates a hotfix branch from main or a support branch
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} [baseBranch] - The branch to create the hotfix branch from, main by default
+ * @param {string} [branchName] - The hotfix branch name, e.g. hotfix/login-crash, the configured hotfix branch by default
+ * @returns {Promise<void>} A promise that resolves when the hotfix branch is created
+ */
+function createHotfixBranch(git, baseBranch = getConfig().branches.main, branchName = getConfig().branches.hotfix) {
+    if (isDryRun()) {
+        return recordAction(`git checkout -b ${branchName} ${baseBranch}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.checkoutBranch(branchName, baseBranch)
+            .then(() => {
+                logger.log(`Created ${branchName} branch from ${baseBranch}`);
+                resolve();
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Creates a support branch from the release tag
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The support branch name
+ * @param {string} tag - The release tag to create the branch from
+ * @returns {Promise<void>} A promise that resolves when the support branch is created
+ */
+function createSupportBranch(git, branch, tag) {
+    if (isDryRun()) {
+        return recordAction(`git checkout -b ${branch} ${tag}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.checkoutBranch(branch, tag)
             .then(() => {
-                console.log("Create release branch");
+                logger.log(`Created ${branch} branch from ${tag}`);
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
     });
 }
 
@@ -115,36 +177,69 @@ function createReleaseBranch(git) {
  * @param {Object} git - The simple-git instance
  * @param {string} branch - The branch to delete
  * @param {boolean} [force=false] - Whether to force delete the branch
+ * @param {boolean} [withLease=false] - Whether the remote branch is deleted only if it still points to the fetched commit
  * @returns {Promise<void>} A promise that resolves when the branch is deleted
  */
-function deleteBranch(git, branch, force = false) {
-    return new Promise((resolve) => {
-        git.push(['origin', '--delete', branch])
+function deleteBranch(git, branch, force = false, withLease = false) {
+    const pushOptions = withLease ? [`--force-with-lease=${branch}`] : [];
+    if (isDryRun()) {
+        return recordAction(['git push', ...pushOptions, getConfig().remote, '--delete', branch].join(' '), `git branch ${force ? '-D' : '-d'} ${branch}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.push([...pushOptions, getConfig().remote, '--delete', branch])
             .then(() => git.deleteLocalBranch(branch, force))
             .then(() => {
-                console.log("Branch " + branch + " was deleted!");
+                logger.log("Branch " + branch + " was deleted!");
+                resolve();
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Deletes a local branch, e.g. after its remote branch was deleted by a merged pull request
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The branch to delete
+ * @param {boolean} [force=false] - Whether to force delete the branch
+ * @returns {Promise<void>} A promise that resolves when the branch is deleted
+ */
+function deleteLocalBranch(git, branch, force = false) {
+    if (isDryRun()) {
+        return recordAction(`git branch ${force ? '-D' : '-d'} ${branch}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.deleteLocalBranch(branch, force)
+            .then(() => {
+                logger.log("Branch " + branch + " was deleted!");
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
     });
 }
 
 /**
- * Merges from one branch to another
+ * Merges from one branch to the current branch.
+ * Version and lock file conflicts are resolved automatically, the merge is committed then.
  * 
  * @param {Object} git - The simple-git instance
  * @param {string} fromBranch - The source branch
- * @param {string} toBranch - The target branch
- * @returns {Promise<void>} A promise that resolves when the merge is complete
+ * @param {string} [version] - The version the flow sets after the merge, used to resolve version conflicts
+ * @returns {Promise<void>} A promise that resolves when the merge is complete, rejects with MergeConflictError on other conflicts
  */
-function mergeFromBranch(git, fromBranch) {
-    return new Promise(resolve => {
-        git.merge(['--no-ff', fromBranch])
+function mergeFromBranch(git, fromBranch, version) {
+    const mergeOptions = ['--no-ff', ...getCommitSignOptions()];
+    if (isDryRun()) {
+        return recordAction(`git merge ${mergeOptions.join(' ')} ${fromBranch}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.merge([...mergeOptions, fromBranch])
+            .catch(err => resolveMergeConflicts(git, err, version).then(() => git.raw(['commit', '--no-edit', ...getCommitSignOptions()])))
             .then(() => {
-                console.log(`Merge from ${fromBranch}!`);
+                logger.log(`Merge from ${fromBranch}!`);
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
     });
 }
 
@@ -158,19 +253,25 @@ function mergeFromBranch(git, fromBranch) {
  * @returns {Promise<void>} A promise that resolves when commit and push are complete
  */
 function commitAndPush(git, branch, message, setUpstream = true) {
-    return new Promise((resolve) => {
-        const pushOptions = setUpstream ? ['--set-upstream'] : [];
-        
-        git.commit(message, ['--all', '--no-edit'])
+    const pushOptions = setUpstream ? ['--set-upstream'] : [];
+    const commitOptions = ['--all', '--no-edit', ...getCommitSignOptions()];
+    if (isDryRun()) {
+        return recordAction(
+            `git commit ${commitOptions.join(' ')} -m "${message}"`,
+            ['git push', ...pushOptions, getConfig().remote, branch].join(' ')
+        );
+    }
+    return new Promise((resolve, reject) => {
+        git.commit(message, commitOptions)
             .then(() => {
-                console.log("Commit!");
-                return git.push('origin', branch, pushOptions);
+                logger.log("Commit!");
+                return git.push(getConfig().remote, branch, pushOptions);
             })
             .then(() => {
-                console.log("Push!");
+                logger.log("Push!");
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
     });
 }
 
@@ -182,13 +283,16 @@ function commitAndPush(git, branch, message, setUpstream = true) {
  * @returns {Promise<void>} A promise that resolves when push is complete
  */
 function pushNewBranch(git, branch) {
-    return new Promise((resolve) => {
-        git.push('origin', branch, ['--set-upstream'])
+    if (isDryRun()) {
+        return recordAction(`git push --set-upstream ${getConfig().remote} ${branch}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.push(getConfig().remote, branch, ['--set-upstream'])
             .then(() => {
-                console.log("Push!");
+                logger.log("Push!");
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
     });
 }
 
@@ -199,13 +303,16 @@ function pushNewBranch(git, branch) {
  * @returns {Promise<void>} A promise that resolves when push is complete
  */
 function push(git) {
-    return new Promise((resolve) => {
+    if (isDryRun()) {
+        return recordAction('git push');
+    }
+    return new Promise((resolve, reject) => {
         git.push()
             .then(() => {
-                console.log("Push!");
+                logger.log("Push!");
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
     });
 }
 
@@ -218,16 +325,36 @@ function push(git) {
  * @returns {Promise<string>} A promise that resolves with the version
  */
 function getVersionFromBranch(git, branch, isLernaProject) {
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
         git.show([`${branch}:${isLernaProject ? "lerna.json" : "package.json"}`], (err, data) => {
-            handleError(err);
+            if (err) {
+                return reject(err);
+            }
             const version = JSON.parse(data)["version"];
-            console.log(`${branch} version: ${version}`);
+            logger.log(`${branch} version: ${version}`);
             resolve(version);
         });
     });
 }
 
+/**
+ * Gets package.json content from a specific branch without checking it out
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The branch to read package.json from
+ * @returns {Promise<Object>} A promise that resolves with the parsed package.json
+ */
+function getPackageJsonFromBranch(git, branch) {
+    return new Promise((resolve, reject) => {
+        git.show([`${branch}:package.json`], (err, data) => {
+            if (err) {
+                return reject(err);
+            }
+            resolve(JSON.parse(data));
+        });
+    });
+}
+
 /**
  * Creates and pushes a git tag
  * 
@@ -236,15 +363,181 @@ function getVersionFromBranch(git, branch, isLernaProject) {
  * @returns {Promise<void>} A promise that resolves when tag is created and pushed
  */
 function createAndPushTag(git, version) {
-    return new Promise(resolve => {
-        git.addAnnotatedTag(version, `release: ${version}`)
-            .then(() => git.pushTags())
+    const tag = formatTag(version);
+    if (isDryRun()) {
+        return recordAction(`git tag ${getTagOption()} ${tag} -m "release: ${version}"`, `git push ${getConfig().remote} --tags`);
+    }
+    return new Promise((resolve, reject) => {
+        addTag(git, tag, `release: ${version}`)
+            .then(() => verifyTagSignature(git, tag))
+            .then(() => git.pushTags(getConfig().remote))
+            .then(() => {
+                logger.log("Git tag: " + tag + ". Version: " + version);
+                logger.log("Git push tags");
+                resolve();
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Creates an annotated git tag for the version locally
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} version - The version to tag
+ * @returns {Promise<void>} A promise that resolves when tag is created
+ */
+function createTag(git, version) {
+    const tag = formatTag(version);
+    if (isDryRun()) {
+        return recordAction(`git tag ${getTagOption()} ${tag} -m "release: ${version}"`);
+    }
+    return new Promise((resolve, reject) => {
+        addTag(git, tag, `release: ${version}`)
             .then(() => {
-                console.log("Git tag. Version: " + version);
-                console.log("Git push tags");
+                logger.log("Git tag: " + tag + ". Version: " + version);
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
+    });
+}
+
+/**
+ * Creates an annotated tag, signed if signing is enabled
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} tag - The tag name
+ * @param {string} message - The tag message
+ * @returns {Promise<void>} A promise that resolves when the tag is created
+ * @private
+ */
+function addTag(git, tag, message) {
+    return git.raw(['tag', getTagOption(), tag, '-m', message]);
+}
+
+/**
+ * Returns the git tag option creating an annotated tag: -s for signed tags, -a otherwise
+ * 
+ * @returns {string} The option
+ * @private
+ */
+function getTagOption() {
+    return isSigningEnabled() ? '-s' : '-a';
+}
+
+/**
+ * Pushes the git tag of the version to remote
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} version - The tagged version
+ * @returns {Promise<void>} A promise that resolves when tag is pushed
+ */
+function pushTag(git, version) {
+    const tag = formatTag(version);
+    const { remote } = getConfig();
+    if (isDryRun()) {
+        return recordAction(...(isSigningEnabled() ? [`git tag -v ${tag}`] : []), `git push ${remote} refs/tags/${tag}`);
+    }
+    return new Promise((resolve, reject) => {
+        // Signed tags are verified before they are published
+        verifyTagSignature(git, tag)
+            .then(() => git.push(remote, `refs/tags/${tag}`))
+            .then(() => {
+                logger.log("Git push tag " + tag);
+                resolve();
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Deletes the local git tag of the version
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} version - The tagged version
+ * @returns {Promise<void>} A promise that resolves when tag is deleted
+ */
+function deleteLocalTag(git, version) {
+    const tag = formatTag(version);
+    if (isDryRun()) {
+        return recordAction(`git tag -d ${tag}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.tag(['-d', tag])
+            .then(() => {
+                logger.log("Local git tag " + tag + " was deleted!");
+                resolve();
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Gets the commit hash the reference points to
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} [ref='HEAD'] - The reference to resolve
+ * @returns {Promise<string>} A promise that resolves with the commit hash
+ */
+function getCommitHash(git, ref = 'HEAD') {
+    return new Promise((resolve, reject) => {
+        git.revparse([ref])
+            .then(hash => resolve(hash.trim()))
+            .catch(reject);
+    });
+}
+
+/**
+ * Checks out the branch and resets it to the specified commit discarding all local changes
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The branch to reset
+ * @param {string} commitHash - The commit to reset the branch to
+ * @returns {Promise<void>} A promise that resolves when the branch is reset
+ */
+function resetBranch(git, branch, commitHash) {
+    if (isDryRun()) {
+        return recordAction(`git checkout --force ${branch}`, `git reset --hard ${commitHash}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.checkout(['--force', branch])
+            .then(() => git.reset(['--hard', commitHash]))
+            .then(() => {
+                logger.log(`Branch ${branch} was reset to ${commitHash}`);
+                resolve();
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Discards uncommitted changes of tracked files in the working directory
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<void>} A promise that resolves when the changes are discarded
+ */
+function discardChanges(git) {
+    if (isDryRun()) {
+        return recordAction('git checkout -- .');
+    }
+    return new Promise((resolve, reject) => {
+        git.checkout(['--', '.'])
+            .then(() => resolve())
+            .catch(reject);
+    });
+}
+
+/**
+ * Gets the absolute path of the .git directory of the repository
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<string>} A promise that resolves with the .git directory path
+ */
+function getGitDir(git) {
+    return new Promise((resolve, reject) => {
+        git.revparse(['--absolute-git-dir'])
+            .then(gitDir => resolve(gitDir.trim()))
+            .catch(reject);
     });
 }
 
@@ -255,13 +548,16 @@ function createAndPushTag(git, version) {
  * @returns {Promise<void>} A promise that resolves when all branches are pulled
  */
 function pullAll(git) {
-    return new Promise(resolve => {
+    if (isDryRun()) {
+        return recordAction('git pull --all');
+    }
+    return new Promise((resolve, reject) => {
         git.pull(['--all'])
             .then(() => {
-                console.log("Pull all branches");
+                logger.log("Pull all branches");
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
     });
 }
 
@@ -274,10 +570,16 @@ function pullAll(git) {
  * @returns {Promise<void>} A promise that resolves when the branch is created
  */
 function createBranch(git, branchType, branchName) {
-    return new Promise(resolve => {
-        git.checkoutLocalBranch(`${branchType}/${branchName}`, (err) => {
-            handleError(err);
-            console.log(`Created ${branchType} branch: ${branchType}/${branchName}`);
+    const fullBranchName = getTopicBranchName(branchType, branchName);
+    if (isDryRun()) {
+        return recordAction(`git checkout -b ${fullBranchName}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.checkoutLocalBranch(fullBranchName, (err) => {
+            if (err) {
+                return reject(err);
+            }
+            logger.log(`Created ${branchType} branch: ${fullBranchName}`);
             resolve();
         });
     });
@@ -290,38 +592,176 @@ function createBranch(git, branchType, branchName) {
  * @returns {Promise<void>} A promise that resolves when the branch is updated
  */
 function updateBranchWithDevelop(git) {
-    return new Promise(resolve => {
-        git.pull('origin', 'develop', ['--no-rebase', '--progress', '-v'])
+    const { remote, branches } = getConfig();
+    const pullOptions = ['--no-rebase', ...getCommitSignOptions()];
+    if (isDryRun()) {
+        return recordAction(`git pull ${remote} ${branches.develop} ${pullOptions.join(' ')}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.pull(remote, branches.develop, [...pullOptions, '--progress', '-v'])
+            // Version conflicts keep the version of the current branch
+            .catch(err => resolveMergeConflicts(git, err).then(() => git.raw(['commit', '--no-edit', ...getCommitSignOptions()])))
             .then(() => {
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
     });
 }
 
+/**
+ * Fetches branches from remote updating their remote-tracking branches
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string[]} branches - The branches to fetch
+ * @returns {Promise<void>} A promise that resolves when the branches are fetched
+ */
+function fetchBranches(git, branches) {
+    const { remote } = getConfig();
+    if (isDryRun()) {
+        return recordAction(`git fetch ${remote} ${branches.join(' ')}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.fetch([remote, ...branches])
+            .then(() => resolve())
+            .catch(reject);
+    });
+}
+
+/**
+ * Checks that the remote branch has no commits missing in the local branch,
+ * so the branch can be rewritten and deleted remotely without losing them
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The local branch
+ * @returns {Promise<void>} A promise that resolves if the remote branch is included, rejects with WorkflowStateError otherwise
+ */
+function checkRemoteBranchIncluded(git, branch) {
+    const remoteBranch = `${getConfig().remote}/${branch}`;
+    return git.raw(['rev-parse', '--verify', '--quiet', `refs/remotes/${remoteBranch}`])
+        .then(remoteCommit => remoteCommit.trim() && git.raw(['merge-base', remoteBranch, branch])
+            // The remote branch is included if it is the common ancestor
+            .then(mergeBase => {
+                if (mergeBase.trim() !== remoteCommit.trim()) {
+                    throw new WorkflowStateError(`${remoteBranch} has commits missing in ${branch}, pull them before finishing the branch`);
+                }
+            }))
+        .then(() => undefined);
+}
+
+/**
+ * Rebases the current branch onto the remote develop branch, which must be fetched.
+ * Version and lock file conflicts are resolved automatically, the rebase is aborted on other conflicts.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} [version] - The version of the current branch, used to resolve version conflicts
+ * @returns {Promise<void>} A promise that resolves when the branch is rebased, rejects with MergeConflictError
+ * after aborting the rebase on conflicts which cannot be resolved automatically
+ */
+function rebaseOnDevelop(git, version) {
+    const { remote, branches } = getConfig();
+    const upstream = `${remote}/${branches.develop}`;
+    const rebaseOptions = getCommitSignOptions();
+    if (isDryRun()) {
+        return recordAction(['git rebase', ...rebaseOptions, upstream].join(' '));
+    }
+    // The editor is disabled, so continuing keeps the original commit messages
+    const rebase = args => git.raw(['-c', 'core.editor=true', 'rebase', ...args]);
+    const resolveAndContinue = err => resolveMergeConflicts(git, err, version)
+        .then(() => rebase(['--continue']).catch(resolveAndContinue));
+
+    return rebase([...rebaseOptions, upstream])
+        .catch(resolveAndContinue)
+        .catch(err => git.raw(['rebase', '--abort'])
+            .catch(() => undefined)
+            .then(() => {
+                logger.error(`Rebase onto ${upstream} was aborted`);
+                throw err;
+            }))
+        .then(() => logger.log(`Rebased onto ${upstream}!`));
+}
+
+/**
+ * Fast-forwards develop, the current branch, to another branch without creating a merge commit
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The branch to fast-forward to
+ * @returns {Promise<void>} A promise that resolves when develop is fast-forwarded,
+ * rejects with WorkflowStateError if the branches have diverged
+ */
+function fastForwardToBranch(git, branch) {
+    if (isDryRun()) {
+        return recordAction(`git merge --ff-only ${branch}`);
+    }
+    const developBranch = getConfig().branches.develop;
+    return git.merge(['--ff-only', branch])
+        .catch(() => {
+            throw new WorkflowStateError(`${developBranch} cannot be fast-forwarded to ${branch}, the branch is not based on the latest ${developBranch}. Use the rebase strategy or update the branch first.`);
+        })
+        .then(() => logger.log(`Fast-forwarded to ${branch}!`));
+}
+
 /**
  * Merges a branch into develop
  * 
  * @param {Object} git - The simple-git instance
  * @param {string} branch - The branch to merge
  * @param {boolean} [squash=false] - Whether to squash the commits during merge
- * @returns {Promise<void>} A promise that resolves when the merge is complete
+ * @returns {Promise<void>} A promise that resolves when the merge is complete, version and lock file conflicts are resolved
+ * keeping the develop version, rejects with MergeConflictError on other conflicts
  */
 function mergeToDevelop(git, branch, squash = false) {
-    return new Promise(resolve => {
-        const mergeOptions = ["--no-edit", "--no-commit"];
-        
-        if (!squash) {
-            mergeOptions.push("--no-ff");
-        } else {
-            mergeOptions.push("--squash");            
-        }
-        
-        git.mergeFromTo(branch, "develop", mergeOptions, (err) => {
-            handleError(err);   
-            console.log("Merge from " + branch + " to develop with " + (squash ? "--squash" : "--no-ff") + " option. You are now at develop.");
-            resolve();
-        });
+    const developBranch = getConfig().branches.develop;
+    const mergeOptions = ["--no-edit", "--no-commit"];
+    
+    if (!squash) {
+        mergeOptions.push("--no-ff");
+    } else {
+        mergeOptions.push("--squash");            
+    }
+    
+    if (isDryRun()) {
+        return recordAction(`git checkout ${developBranch}`, `git merge ${mergeOptions.join(' ')} ${branch}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.mergeFromTo(branch, developBranch, mergeOptions)
+            .catch(err => resolveMergeConflicts(git, err))
+            .then(() => {
+                logger.log("Merge from " + branch + " to " + developBranch + " with " + (squash ? "--squash" : "--no-ff") + " option. You are now at " + developBranch + ".");
+                resolve();
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Fetches tags from remote
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<void>} A promise that resolves when tags are fetched
+ */
+function fetchTags(git) {
+    const { remote } = getConfig();
+    if (isDryRun()) {
+        return recordAction(`git fetch ${remote} --tags`);
+    }
+    return new Promise((resolve, reject) => {
+        git.fetch(remote, ['--tags'])
+            .then(() => resolve())
+            .catch(reject);
+    });
+}
+
+/**
+ * Lists release tags matching the configured tag format
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<string[]>} A promise that resolves with the tag names
+ */
+function getReleaseTags(git) {
+    return new Promise((resolve, reject) => {
+        git.raw(['tag', '--list', getTagPattern()])
+            .then(result => resolve(result.split('\n').map(tag => tag.trim()).filter(Boolean)))
+            .catch(reject);
     });
 }
 
@@ -333,14 +773,16 @@ function mergeToDevelop(git, branch, squash = false) {
  * @returns {Promise<boolean>} A promise that resolves with true if the branch exists
  */
 function checkRemoteBranchExists(git, branchName) {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
         // Check if branch exists remotely
-        git.listRemote(['--heads'], (err, result) => {
-            handleError(err);
-            const remoteBranchExists = result.includes(`refs/heads/${branchName}`);
+        git.listRemote(['--heads', getConfig().remote], (err, result) => {
+            if (err) {
+                return reject(err);
+            }
+            const remoteBranchExists = parseRemoteBranches(result).includes(branchName);
             
             if (remoteBranchExists) {
-                console.log(`Branch '${branchName}' already exists remotely`);
+                logger.log(`Branch '${branchName}' already exists remotely`);
                 resolve(true);
             } else {
                 resolve(false);
@@ -349,22 +791,90 @@ function checkRemoteBranchExists(git, branchName) {
     });
 }
 
+/**
+ * Lists branches of the remote repository
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<string[]>} A promise that resolves with the branch names
+ */
+function listRemoteBranches(git) {
+    return new Promise((resolve, reject) => {
+        git.listRemote(['--heads', getConfig().remote], (err, result) => {
+            if (err) {
+                return reject(err);
+            }
+            resolve(parseRemoteBranches(result));
+        });
+    });
+}
+
+/**
+ * Counts commits of the branch which are not in the base branch and vice versa
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The branch to compare, e.g. origin/feature/login
+ * @param {string} baseBranch - The branch to compare with, e.g. origin/develop
+ * @returns {Promise<{ahead: number, behind: number}>} A promise that resolves with the commit counts
+ */
+function getAheadBehindCounts(git, branch, baseBranch) {
+    return new Promise((resolve, reject) => {
+        git.raw(['rev-list', '--left-right', '--count', `${baseBranch}...${branch}`])
+            .then(result => {
+                const [behind, ahead] = result.trim().split(/\s+/).map(Number);
+                resolve({ ahead, behind });
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Extracts branch names from 'git ls-remote --heads' output
+ * 
+ * @param {string} output - The command output, '<hash>\trefs/heads/<branch>' per line
+ * @returns {string[]} The branch names
+ */
+function parseRemoteBranches(output) {
+    return output.split('\n')
+        .map(line => line.trim().split('\t')[1])
+        .filter(ref => ref && ref.startsWith('refs/heads/'))
+        .map(ref => ref.slice('refs/heads/'.length));
+}
+
 module.exports = {
     handleError,
     checkUncommittedChanges,
     getCurrentBranchName,
     switchToBranchAndPull,
     createReleaseBranch,
+    createHotfixBranch,
+    createSupportBranch,
     deleteBranch,
+    deleteLocalBranch,
     mergeFromBranch,
     commitAndPush,
     pushNewBranch,
     push,
     getVersionFromBranch,
+    getPackageJsonFromBranch,
     createAndPushTag,
+    createTag,
+    pushTag,
+    deleteLocalTag,
+    getCommitHash,
+    resetBranch,
+    discardChanges,
+    getGitDir,
     pullAll,
     createBranch,
     updateBranchWithDevelop,
     mergeToDevelop,
-    checkRemoteBranchExists
+    fetchBranches,
+    checkRemoteBranchIncluded,
+    rebaseOnDevelop,
+    fastForwardToBranch,
+    fetchTags,
+    getReleaseTags,
+    checkRemoteBranchExists,
+    listRemoteBranches,
+    getAheadBehindCounts
 }; 
\ No newline at end of file
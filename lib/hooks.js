@@ -0,0 +1,202 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCurrentBranchName } = require('./git-utils');
+const { getPackageJsonFiles } = require('./workspaces');
+const { getBranchType } = require('./status');
+const { validateDependencies } = require('./validate-dependencies');
+const { isDryRun, recordAction } = require('./dry-run');
+const { getCwd, logger } = require('./context');
+const { InvalidArgumentError } = require('./errors');
+
+/**
+ * Hooks validating dependency versions
+ */
+const HOOKS = ['pre-commit', 'pre-push'];
+
+/**
+ * Marks hooks written by installHooks, so they are not chained to themselves on reinstall
+ */
+const HOOK_MARKER = "# Installed by 'gitflow hooks install'";
+
+/**
+ * Suffix of hooks existing before installation, they run before the gitflow hook
+ */
+const CHAINED_HOOK_SUFFIX = '.chained';
+
+/**
+ * Zero object id git passes for deleted refs
+ */
+const ZERO_OBJECT_ID = /^0+$/;
+
+/**
+ * Writes pre-commit and pre-push hooks validating package.json dependencies by the rules of the branch type.
+ * Hooks already present are renamed to '<hook>.chained' and run first. The hooks directory respects core.hooksPath.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<void>} A promise that resolves when the hooks are installed
+ */
+function installHooks(git) {
+    return git.revparse(['--git-path', 'hooks'])
+        .then(hooksDirectory => path.resolve(getCwd(), hooksDirectory.trim()))
+        .then(hooksDirectory => HOOKS.reduce((promise, hookName) => promise.then(() => installHook(hooksDirectory, hookName)), Promise.resolve()));
+}
+
+/**
+ * Writes the hook keeping an existing one as a chained hook
+ * 
+ * @param {string} hooksDirectory - The absolute path of the hooks directory
+ * @param {string} hookName - The hook name
+ * @returns {Promise<void>} A promise that resolves when the hook is written
+ * @private
+ */
+function installHook(hooksDirectory, hookName) {
+    const hookPath = path.join(hooksDirectory, hookName);
+    const chainedHookPath = hookPath + CHAINED_HOOK_SUFFIX;
+    const hookExists = fs.existsSync(hookPath);
+
+    if (hookExists && fs.readFileSync(hookPath, 'utf8').includes(HOOK_MARKER)) {
+        logger.log(`${hookName} hook is already installed`);
+        return Promise.resolve();
+    }
+    if (hookExists && fs.existsSync(chainedHookPath)) {
+        return Promise.reject(new InvalidArgumentError(`Cannot keep the existing ${hookName} hook, ${chainedHookPath} already exists. Merge or remove one of them and install the hooks again.`));
+    }
+    if (isDryRun()) {
+        return recordAction(...(hookExists ? [`mv ${hookPath} ${chainedHookPath}`] : []), `write ${hookPath}`);
+    }
+    fs.mkdirSync(hooksDirectory, { recursive: true });
+    if (hookExists) {
+        fs.renameSync(hookPath, chainedHookPath);
+        logger.log(`Existing ${hookName} hook was moved to ${path.basename(chainedHookPath)}, it runs before the gitflow hook`);
+    }
+    fs.writeFileSync(hookPath, getHookScript(hookName), { mode: 0o755 });
+    logger.log(`Installed ${hookName} hook: ${hookPath}`);
+    return Promise.resolve();
+}
+
+/**
+ * Returns the shell script of the hook. The script runs the chained hook first with the same arguments
+ * (and the same input for pre-push) and then 'gitflow hooks run <hook>' of the project.
+ * 
+ * @param {string} hookName - The hook name
+ * @returns {string} The script
+ */
+function getHookScript(hookName) {
+    const chainedHook = `"$(dirname "$0")/${hookName}${CHAINED_HOOK_SUFFIX}"`;
+    const gitflowHook = `npx --no-install gitflow hooks run ${hookName}`;
+    const lines = hookName === 'pre-push'
+        // Refs to push are passed on stdin, it can be read once
+        ? [
+            'input=$(cat)',
+            `if [ -x ${chainedHook} ]; then`,
+            `    printf '%s\\n' "$input" | ${chainedHook} "$@" || exit $?`,
+            'fi',
+            `printf '%s\\n' "$input" | ${gitflowHook}`
+        ]
+        : [
+            `if [ -x ${chainedHook} ]; then`,
+            `    ${chainedHook} "$@" || exit $?`,
+            'fi',
+            gitflowHook
+        ];
+    return ['#!/bin/sh', `${HOOK_MARKER}: validates dependency versions by the rules of the branch type`, ...lines, ''].join('\n');
+}
+
+/**
+ * Runs the validation of the hook
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} hookName - 'pre-commit' or 'pre-push'
+ * @param {string} [input] - The standard input of the pre-push hook: '<local ref> <local sha> <remote ref> <remote sha>' lines
+ * @returns {Promise<void>} A promise that resolves if dependencies are valid, rejects with DependencyValidationError otherwise
+ */
+function runHook(git, hookName, input = '') {
+    switch (hookName) {
+        case 'pre-commit':
+            return validateStagedDependencies(git);
+        case 'pre-push':
+            return validatePushedDependencies(git, input);
+        default:
+            return Promise.reject(new InvalidArgumentError(`Unknown hook '${hookName}', supported hooks are: ${HOOKS.join(', ')}`));
+    }
+}
+
+/**
+ * Validates staged package.json files by the rules of the current branch type.
+ * Nothing is validated on branches outside the flow or if no package.json file is staged.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<void>} A promise that resolves when validation is complete, rejects with DependencyValidationError
+ */
+function validateStagedDependencies(git) {
+    return Promise.all([getCurrentBranchName(git), git.diff(['--cached', '--name-only', '--diff-filter=ACMR'])])
+        .then(([branch, stagedFiles]) => {
+            const branchType = getBranchType(branch);
+            const staged = new Set(stagedFiles.split('\n').filter(Boolean));
+            const files = getPackageJsonFiles().filter(file => staged.has(file));
+            if (!branchType || files.length === 0) {
+                return;
+            }
+            // An empty revision reads the index
+            return readPackageJsons(git, '', files).then(packageJsons => validateDependencies(branchType, new Set(), packageJsons));
+        });
+}
+
+/**
+ * Validates package.json files of the pushed commits by the rules of the type of the branch they are pushed to.
+ * Deleted branches, tags and branches outside the flow are not validated.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} input - The standard input of the pre-push hook
+ * @returns {Promise<void>} A promise that resolves when validation is complete, rejects with DependencyValidationError
+ */
+function validatePushedDependencies(git, input) {
+    const files = getPackageJsonFiles();
+    const refs = input.split(/\r?\n/)
+        .map(line => line.trim().split(/\s+/))
+        .filter(([, localObjectId, remoteRef]) => localObjectId && !ZERO_OBJECT_ID.test(localObjectId) && remoteRef && remoteRef.startsWith('refs/heads/'))
+        .map(([, localObjectId, remoteRef]) => ({ commit: localObjectId, branchType: getBranchType(remoteRef.slice('refs/heads/'.length)) }))
+        .filter(({ branchType }) => branchType);
+
+    return refs.reduce((promise, { commit, branchType }) => promise
+        .then(() => readPackageJsons(git, commit, files))
+        .then(packageJsons => validateDependencies(branchType, new Set(), packageJsons)), Promise.resolve());
+}
+
+/**
+ * Reads package.json files from a commit or the index, files missing there are skipped
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} revision - The commit, an empty string for the index
+ * @param {string[]} files - The files relative to the project root
+ * @returns {Promise<Object[]>} A promise that resolves with the package.json contents
+ * @private
+ */
+function readPackageJsons(git, revision, files) {
+    return Promise.all(files.map(file => git.show([`${revision}:${file}`])
+        .then(content => JSON.parse(content), () => null)))
+        .then(packageJsons => packageJsons.filter(Boolean));
+}
+
+module.exports = {
+    HOOKS,
+    installHooks,
+    getHookScript,
+    runHook
+};
@@ -17,6 +17,25 @@
 const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
+const { isDryRun, recordAction } = require('./dry-run');
+const { getCwd, logger } = require('./context');
+const { getDependencyEntries } = require('./dependency-sections');
+const { readManifest, parseManifest, stringifyManifest } = require('./manifest');
+
+/**
+ * Supported lock files in order of precedence
+ */
+const LOCK_FILES = [
+    { fileName: 'package-lock.json', packageManager: 'npm' },
+    { fileName: 'npm-shrinkwrap.json', packageManager: 'npm' },
+    { fileName: 'pnpm-lock.yaml', packageManager: 'pnpm' },
+    { fileName: 'yarn.lock', packageManager: 'yarn' }
+];
+
+/**
+ * Top level sections of pnpm-lock.yaml with resolved package entries
+ */
+const PNPM_PACKAGE_SECTIONS = ['packages:', 'snapshots:'];
 
 /**
  * Validates the npm scope format
@@ -28,7 +47,7 @@ function validateScope(scope) {
     // Handle array of scopes
     if (Array.isArray(scope)) {
         if (scope.length === 0) {
-            console.log("Scopes array must not be empty! Please provide npm scopes (e.g. ['@company'])");
+            logger.log("Scopes array must not be empty! Please provide npm scopes (e.g. ['@company'])");
             return false;
         }
         
@@ -54,13 +73,13 @@ function validateScope(scope) {
  */
 function validateSingleScope(scope) {
     if (!scope || typeof scope === "boolean") {
-        console.log("Scope must not be empty! Please provide an npm scope (e.g. '@company')");
+        logger.log("Scope must not be empty! Please provide an npm scope (e.g. '@company')");
         return false;
     }
 
     // Validate the scope format
     if (!scope.startsWith('@') || scope.includes('/')) {
-        console.log(`Invalid scope format: ${scope}. It should start with '@' and not contain '/' (e.g. '@company')`);
+        logger.log(`Invalid scope format: ${scope}. It should start with '@' and not contain '/' (e.g. '@company')`);
         return false;
     }
     
@@ -78,24 +97,20 @@ function collectScopePackages(scope) {
     const scopes = Array.isArray(scope) ? scope : [scope];
     
     try {
-        const packageJsonPath = path.resolve(process.cwd(), 'package.json');
-        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        const packageJsonPath = path.resolve(getCwd(), 'package.json');
+        const packageJson = readManifest(packageJsonPath).data;
         
-        // Check dependencies, devDependencies, and peerDependencies
-        ['dependencies', 'devDependencies', 'peerDependencies'].forEach(depType => {
-            if (packageJson[depType]) {
-                Object.keys(packageJson[depType]).forEach(depName => {
-                    for (const s of scopes) {
-                        if (depName.startsWith(s)) {
-                            packages.add(depName);
-                            break;
-                        }
-                    }
-                });
+        // Check dependency sections, overrides and resolutions
+        getDependencyEntries(packageJson).forEach(({ packageName }) => {
+            for (const s of scopes) {
+                if (packageName.startsWith(s)) {
+                    packages.add(packageName);
+                    break;
+                }
             }
         });
     } catch (error) {
-        console.error('Error reading package.json:', error);
+        logger.error('Error reading package.json:', error);
         throw error;
     }
     
@@ -111,57 +126,108 @@ function collectScopePackages(scope) {
 async function processLockFile(scope) {
     try {
         const scopes = Array.isArray(scope) ? scope : [scope];
-        const lockFilePath = getLockFilePath();
-        console.log(`Processing ${path.basename(lockFilePath)}...`);
+        const lockFile = getLockFile();
+        logger.log(`Processing ${lockFile.fileName} (${lockFile.packageManager})...`);
         
         // Get packages with the specified scope(s) from package.json
         const packagesToUpdate = collectScopePackages(scopes);
         
         if (packagesToUpdate.length === 0) {
             const scopesStr = scopes.join(', ');
-            console.log(`No packages found with scope(s) ${scopesStr}`);
+            logger.log(`No packages found with scope(s) ${scopesStr}`);
             return;
         }
         
         const scopesStr = scopes.join(', ');
-        console.log(`Found ${packagesToUpdate.length} packages with scope(s) ${scopesStr}: ${packagesToUpdate.join(' ')}`);        
+        logger.log(`Found ${packagesToUpdate.length} packages with scope(s) ${scopesStr}: ${packagesToUpdate.join(' ')}`);        
         
-        // Read and update lock file
-        const lockFileContent = fs.readFileSync(lockFilePath, 'utf8');
-        const lockFileData = JSON.parse(lockFileContent);
-        
-        // Remove node_modules entries
-        const updatedLockFileData = removeNodeModulesEntries(lockFileData, scopes);
+        if (isDryRun()) {
+            await recordAction(
+                `update ${lockFile.fileName}: remove entries for scope(s) ${scopesStr}`,
+                getUpdateCommand(lockFile.packageManager, packagesToUpdate)
+            );
+            return;
+        }
         
-        // Write the updated lock file
-        fs.writeFileSync(lockFilePath, JSON.stringify(updatedLockFileData, null, 2));
-        console.log(`Updated ${path.basename(lockFilePath)} - removed node_modules entries for scope(s) ${scopesStr}`);
+        // Remove entries of the scope(s) so that the package manager resolves them again
+        const lockFileContent = fs.readFileSync(lockFile.path, 'utf8');
+        fs.writeFileSync(lockFile.path, removeLockFileEntries(lockFile.packageManager, lockFileContent, scopes));
+        logger.log(`Updated ${lockFile.fileName} - removed entries for scope(s) ${scopesStr}`);
         
         // Update packages
-        await updatePackages(packagesToUpdate);
+        await updatePackages(packagesToUpdate, lockFile.packageManager);
         
-        console.log('Process completed successfully');
+        logger.log('Process completed successfully');
     } catch (error) {
-        console.error('Error processing lock file:', error);
+        logger.error('Error processing lock file:', error);
         throw error;
     }
 }
 
 /**
- * Determines the correct lock file to use (package-lock.json or npm-shrinkwrap.json)
+ * Finds the lock file of the project and detects the package manager using it.
+ * Yarn lock files are distinguished by format: Yarn berry lock files contain the __metadata entry.
+ * 
+ * @returns {{path: string, fileName: string, packageManager: string}|null} The lock file or null if there is no lock file.
+ * Package manager is one of 'npm', 'pnpm', 'yarn-classic' or 'yarn-berry'
+ */
+function findLockFile() {
+    for (const { fileName, packageManager } of LOCK_FILES) {
+        const lockFilePath = path.resolve(getCwd(), fileName);
+        if (!fs.existsSync(lockFilePath)) {
+            continue;
+        }
+        if (packageManager === 'yarn') {
+            const isBerry = /^__metadata:/m.test(fs.readFileSync(lockFilePath, 'utf8'));
+            return { path: lockFilePath, fileName, packageManager: isBerry ? 'yarn-berry' : 'yarn-classic' };
+        }
+        return { path: lockFilePath, fileName, packageManager };
+    }
+    return null;
+}
+
+/**
+ * Determines the lock file to use
+ * 
+ * @returns {{path: string, fileName: string, packageManager: string}} The lock file and its package manager
+ * @throws {Error} If the project has no lock file
+ */
+function getLockFile() {
+    const lockFile = findLockFile();
+    if (!lockFile) {
+        throw new Error(`No lock file found in the root directory, supported lock files are: ${LOCK_FILES.map(({ fileName }) => fileName).join(', ')}`);
+    }
+    return lockFile;
+}
+
+/**
+ * Determines the correct lock file to use
  * 
  * @returns {string} Path to the lock file
  */
 function getLockFilePath() {
-    const packageLockPath = path.resolve(process.cwd(), 'package-lock.json');
-    const shrinkwrapPath = path.resolve(process.cwd(), 'npm-shrinkwrap.json');
-    
-    if (fs.existsSync(packageLockPath)) {
-        return packageLockPath;
-    } else if (fs.existsSync(shrinkwrapPath)) {
-        return shrinkwrapPath;
-    } else {
-        throw new Error('No package-lock.json or npm-shrinkwrap.json found in the root directory');
+    return getLockFile().path;
+}
+
+/**
+ * Removes entries of packages with the specified scope(s) from the lock file content
+ * 
+ * @param {string} packageManager - The package manager of the lock file
+ * @param {string} content - The lock file content
+ * @param {string[]} scopes - The npm scopes to look for
+ * @returns {string} Updated lock file content
+ */
+function removeLockFileEntries(packageManager, content, scopes) {
+    switch (packageManager) {
+        case 'pnpm':
+            return removePnpmLockEntries(content, scopes);
+        case 'yarn-classic':
+        case 'yarn-berry':
+            return removeYarnLockEntries(content, scopes);
+        default: {
+            const { data, format } = parseManifest(content);
+            return stringifyManifest(removeNodeModulesEntries(data, scopes), format);
+        }
     }
 }
 
@@ -203,42 +269,182 @@ function removeNodeModulesEntries(lockFileData, scope) {
 }
 
 /**
- * Updates the specified packages using npm update
+ * Removes yarn.lock entries of packages with the specified scope(s).
+ * Both Yarn classic and Yarn berry lock files consist of top level entries keyed by
+ * comma separated descriptors (e.g. "@company/lib@^1.0.0, @company/lib@dev":) followed by indented fields.
+ * 
+ * @param {string} content - The yarn.lock content
+ * @param {string[]} scopes - The npm scopes to look for
+ * @returns {string} Updated yarn.lock content
+ */
+function removeYarnLockEntries(content, scopes) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    let skipping = false;
+
+    const lines = content.split(/\r?\n/).filter(line => {
+        // Top level entry starts a new block, blank lines and indented fields belong to the current one
+        if (/^[^\s#]/.test(line)) {
+            const descriptors = line.replace(/:\s*$/, '').split(',')
+                .map(descriptor => descriptor.trim().replace(/^["']|["']$/g, ''));
+            skipping = descriptors.every(descriptor => isScopePackage(descriptor, scopes));
+        }
+        return !skipping;
+    });
+    return lines.join(eol);
+}
+
+/**
+ * Removes pnpm-lock.yaml entries of packages with the specified scope(s) from the packages and snapshots sections.
+ * Importers are left as is and are updated by the package manager.
+ * Supports keys of all lock file versions: /@company/lib/1.0.0, /@company/lib@1.0.0 and '@company/lib@1.0.0'.
+ * 
+ * @param {string} content - The pnpm-lock.yaml content
+ * @param {string[]} scopes - The npm scopes to look for
+ * @returns {string} Updated pnpm-lock.yaml content
+ */
+function removePnpmLockEntries(content, scopes) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    let section = null;
+    let skipping = false;
+
+    const lines = content.split(/\r?\n/).filter(line => {
+        if (/^\S/.test(line)) {
+            section = line.trim();
+            skipping = false;
+        } else if (/^ {2}\S/.test(line) && PNPM_PACKAGE_SECTIONS.includes(section)) {
+            const key = line.trim().replace(/^["']|["']?:\s*$/g, '').replace(/^\//, '');
+            skipping = isScopePackage(key, scopes);
+        }
+        return !skipping;
+    });
+    return lines.join(eol);
+}
+
+/**
+ * Checks if a package descriptor or lock file key belongs to one of the scopes
+ * 
+ * @param {string} descriptor - Package name followed by a version or range (e.g. '@company/lib@^1.0.0')
+ * @param {string[]} scopes - The npm scopes to look for
+ * @returns {boolean} True if the package has one of the scopes
+ * @private
+ */
+function isScopePackage(descriptor, scopes) {
+    return scopes.some(scope => descriptor.startsWith(`${scope}/`));
+}
+
+/**
+ * Returns the command updating packages with the package manager.
+ * Yarn berry re-resolves removed lock file entries on install, 'yarn up' would change ranges in package.json.
+ * 
+ * @param {string} packageManager - The package manager ('npm', 'pnpm', 'yarn-classic' or 'yarn-berry')
+ * @param {Array} packages - List of package names to update
+ * @returns {string} The update command
+ */
+function getUpdateCommand(packageManager, packages) {
+    switch (packageManager) {
+        case 'pnpm':
+            return `pnpm update ${packages.join(' ')}`;
+        case 'yarn-classic':
+            return `yarn upgrade ${packages.join(' ')}`;
+        case 'yarn-berry':
+            return 'yarn install --no-immutable';
+        default:
+            return `npm update ${packages.join(' ')}`;
+    }
+}
+
+/**
+ * Returns the command resolving the lock file again from package.json without installing packages
+ * 
+ * @param {string} packageManager - The package manager ('npm', 'pnpm', 'yarn-classic' or 'yarn-berry')
+ * @returns {string} The command
+ */
+function getRegenerateCommand(packageManager) {
+    switch (packageManager) {
+        case 'pnpm':
+            return 'pnpm install --lockfile-only --ignore-scripts';
+        case 'yarn-classic':
+            // Yarn classic has no lock file only mode
+            return 'yarn install --ignore-scripts';
+        case 'yarn-berry':
+            return 'yarn install --mode=update-lockfile';
+        default:
+            return 'npm install --package-lock-only --ignore-scripts';
+    }
+}
+
+/**
+ * Regenerates the lock file of the project, e.g. after a merge conflict in it
+ * 
+ * @returns {Promise<string>} A promise that resolves with the lock file name when it is regenerated
+ */
+function regenerateLockFile() {
+    const { fileName, packageManager } = getLockFile();
+    if (isDryRun()) {
+        return recordAction(getRegenerateCommand(packageManager)).then(() => fileName);
+    }
+    return new Promise((resolve, reject) => {
+        const command = getRegenerateCommand(packageManager);
+        logger.log(`Running: ${command}`);
+        exec(command, { cwd: getCwd() }, error => {
+            if (error) {
+                logger.error(`Error regenerating ${fileName}: ${error.message}`);
+                reject(error);
+                return;
+            }
+            logger.log(`${fileName} regenerated`);
+            resolve(fileName);
+        });
+    });
+}
+
+/**
+ * Updates the specified packages using the package manager
  * 
  * @param {Array} packages - List of package names to update
+ * @param {string} [packageManager] - The package manager ('npm', 'pnpm', 'yarn-classic' or 'yarn-berry')
  * @returns {Promise<void>} A promise that resolves when updates are complete
  */
-function updatePackages(packages) {
+function updatePackages(packages, packageManager = 'npm') {
     return new Promise((resolve, reject) => {
         if (packages.length === 0) {
             resolve();
             return;
         }
         
-        const updateCommand = `npm update ${packages.join(' ')}`;
-        console.log(`Running: ${updateCommand}`);
+        const updateCommand = getUpdateCommand(packageManager, packages);
+        logger.log(`Running: ${updateCommand}`);
         
-        exec(updateCommand, (error, stdout, stderr) => {
+        exec(updateCommand, { cwd: getCwd() }, (error, stdout, stderr) => {
             if (error) {
-                console.error(`Error updating packages: ${error.message}`);
+                logger.error(`Error updating packages: ${error.message}`);
                 reject(error);
                 return;
             }
             
-            if (stdout) console.log(stdout);
-            if (stderr) console.error(stderr);
+            if (stdout) logger.log(stdout);
+            if (stderr) logger.error(stderr);
             
-            console.log('Packages updated successfully');
+            logger.log('Packages updated successfully');
             resolve();
         });
     });
 }
 
 module.exports = {
+    LOCK_FILES,
     validateScope,
     collectScopePackages,
     processLockFile,
+    findLockFile,
+    getLockFile,
     getLockFilePath,
+    removeLockFileEntries,
     removeNodeModulesEntries,
-    updatePackages
+    removeYarnLockEntries,
+    removePnpmLockEntries,
+    getUpdateCommand,
+    updatePackages,
+    getRegenerateCommand,
+    regenerateLockFile
 }; 
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_FORMAT = {
+    indent: '  ',
+    eol: '\n',
+    finalNewline: true,
+    bom: false
+};
+
+/**
+ * Detects formatting of a JSON document: indentation, line endings, the final newline and the byte order mark
+ * 
+ * @param {string} content - The JSON document
+ * @returns {{indent: string, eol: string, finalNewline: boolean, bom: boolean}} The detected format, defaults are used for single line documents
+ */
+function detectFormat(content) {
+    const indentMatch = /^[ \t]+(?=\S)/m.exec(content);
+    return {
+        indent: indentMatch ? indentMatch[0] : DEFAULT_FORMAT.indent,
+        eol: content.includes('\r\n') ? '\r\n' : DEFAULT_FORMAT.eol,
+        finalNewline: content.includes('\n') ? /\n$/.test(content) : DEFAULT_FORMAT.finalNewline,
+        bom: content.startsWith('\uFEFF')
+    };
+}
+
+/**
+ * Parses a JSON document remembering its format
+ * 
+ * @param {string} content - The JSON document
+ * @returns {{data: Object, format: Object}} Parsed content and its format
+ */
+function parseManifest(content) {
+    // Byte order mark is not valid JSON, editors may add it. It is restored on write.
+    return {
+        data: JSON.parse(content.replace(/^\uFEFF/, '')),
+        format: detectFormat(content)
+    };
+}
+
+/**
+ * Serializes a JSON document in the given format. Key order is preserved.
+ * 
+ * @param {Object} data - The content to serialize
+ * @param {Object} [format] - The format returned by detectFormat, defaults to 2 spaces, LF and a final newline
+ * @returns {string} The JSON document
+ */
+function stringifyManifest(data, format = DEFAULT_FORMAT) {
+    const json = (format.bom ? '\uFEFF' : '') + JSON.stringify(data, null, format.indent).replace(/\n/g, format.eol);
+    return format.finalNewline ? json + format.eol : json;
+}
+
+/**
+ * Reads a JSON manifest (package.json, lerna.json, package-lock.json) from disk.
+ * The file is read on every call, so changes made by the same process are visible.
+ * 
+ * @param {string} filePath - Path to the manifest
+ * @returns {{path: string, data: Object, format: Object}} The manifest with parsed content and format
+ */
+function readManifest(filePath) {
+    return Object.assign({ path: filePath }, parseManifest(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Writes a manifest keeping the format it was read with
+ * 
+ * @param {{path: string, data: Object, format: Object}} manifest - The manifest returned by readManifest
+ */
+function writeManifest(manifest) {
+    fs.writeFileSync(manifest.path, stringifyManifest(manifest.data, manifest.format));
+}
+
+module.exports = {
+    detectFormat,
+    parseManifest,
+    stringifyManifest,
+    readManifest,
+    writeManifest
+};
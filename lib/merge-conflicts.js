@@ -0,0 +1,183 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LOCK_FILES, regenerateLockFile } = require('./lock-file-utils');
+const { parseManifest, stringifyManifest } = require('./manifest');
+const { logger } = require('./context');
+const { MergeConflictError } = require('./errors');
+
+/**
+ * Files whose only expected conflicts are version changes made by the flow
+ */
+const VERSION_FILES = ['package.json', 'lerna.json'];
+
+/**
+ * Resolves conflicts of a failed merge which are limited to version fields and lock files.
+ * Version files are merged field by field taking the version the flow is about to set,
+ * conflicted lock files are regenerated after that. The resolved files are staged.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {Error} mergeError - The error the merge failed with, rethrown if there are no conflicts
+ * @param {string} [version] - The version the flow sets after the merge, the version of the current branch is kept if not specified
+ * @returns {Promise<string[]>} A promise that resolves with the resolved files,
+ * rejects with MergeConflictError listing the files to be resolved manually
+ */
+function resolveMergeConflicts(git, mergeError, version) {
+    let rootDir;
+
+    return Promise.all([getConflictedFiles(git), git.revparse(['--show-toplevel'])])
+        .then(([files, topLevel]) => {
+            if (files.length === 0) {
+                throw mergeError;
+            }
+            rootDir = topLevel.trim();
+            const versionFiles = files.filter(file => VERSION_FILES.includes(path.basename(file)));
+            const lockFiles = files.filter(file => LOCK_FILES.some(({ fileName }) => fileName === path.basename(file)));
+            const sourceFiles = files.filter(file => !versionFiles.includes(file) && !lockFiles.includes(file));
+
+            return resolveVersionFiles(git, rootDir, versionFiles, version).then(resolvedFiles => {
+                const unresolvedFiles = [...sourceFiles, ...versionFiles.filter(file => !resolvedFiles.includes(file))];
+                if (unresolvedFiles.length > 0) {
+                    // Lock files are regenerated from the final package.json files, so they wait for manual resolution too
+                    throw new MergeConflictError([...unresolvedFiles, ...lockFiles], resolvedFiles);
+                }
+                return lockFiles.length === 0
+                    ? resolvedFiles
+                    : resolveLockFiles(git, lockFiles).then(() => [...resolvedFiles, ...lockFiles]);
+            });
+        })
+        .then(resolvedFiles => {
+            logger.log(`Resolved merge conflicts in ${resolvedFiles.join(', ')}`);
+            return resolvedFiles;
+        });
+}
+
+/**
+ * Lists files with unresolved merge conflicts
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<string[]>} A promise that resolves with paths relative to the repository root
+ */
+function getConflictedFiles(git) {
+    return git.raw(['diff', '--name-only', '--diff-filter=U'])
+        .then(result => result.split('\n').map(file => file.trim()).filter(Boolean));
+}
+
+/**
+ * Resolves version file conflicts one by one
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} rootDir - The repository root directory
+ * @param {string[]} files - Conflicted version files
+ * @param {string} [version] - The version to set
+ * @returns {Promise<string[]>} A promise that resolves with the resolved files
+ */
+function resolveVersionFiles(git, rootDir, files, version) {
+    const resolvedFiles = [];
+    return files.reduce((chain, file) => chain
+        .then(() => resolveVersionFile(git, rootDir, file, version))
+        .then(resolved => {
+            if (resolved) {
+                resolvedFiles.push(file);
+            }
+        }), Promise.resolve())
+        .then(() => resolvedFiles);
+}
+
+/**
+ * Merges the conflicted JSON file field by field: fields changed on one side only are taken from that side,
+ * the version field is set to the version of the flow. Fields changed differently on both sides are a real conflict.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} rootDir - The repository root directory
+ * @param {string} file - The conflicted file relative to the repository root
+ * @param {string} [version] - The version to set
+ * @returns {Promise<boolean>} A promise that resolves with true if the conflict is resolved
+ */
+function resolveVersionFile(git, rootDir, file, version) {
+    // Stages of the conflicted file: 1 - common ancestor, 2 - current branch, 3 - merged branch
+    return Promise.all([1, 2, 3].map(stage => git.show([`:${stage}:${file}`])))
+        .then(contents => contents.map(content => parseManifest(content)))
+        // The file was added or deleted on one side or is not valid JSON
+        .catch(() => null)
+        .then(manifests => {
+            if (!manifests) {
+                return false;
+            }
+            const [base, ours, theirs] = manifests;
+            const merged = mergeVersionFileData(base.data, ours.data, theirs.data, version);
+            if (!merged) {
+                return false;
+            }
+            fs.writeFileSync(path.join(rootDir, file), stringifyManifest(merged, ours.format));
+            return git.add(file).then(() => true);
+        });
+}
+
+/**
+ * Three-way merge of top level fields of a JSON manifest
+ * 
+ * @param {Object} base - The common ancestor content
+ * @param {Object} ours - The current branch content
+ * @param {Object} theirs - The merged branch content
+ * @param {string} [version] - The version to set, the current branch version is kept if not specified
+ * @returns {Object|null} The merged content in the key order of the current branch or null if a field conflicts
+ */
+function mergeVersionFileData(base, ours, theirs, version) {
+    const merged = {};
+    const keys = [...new Set([...Object.keys(ours), ...Object.keys(theirs)])];
+
+    for (const key of keys) {
+        if (key === 'version') {
+            merged.version = version || ours.version;
+            continue;
+        }
+        const [baseValue, oursValue, theirsValue] = [base[key], ours[key], theirs[key]].map(value => JSON.stringify(value));
+        let value;
+        if (oursValue === theirsValue || theirsValue === baseValue) {
+            value = ours[key];
+        } else if (oursValue === baseValue) {
+            value = theirs[key];
+        } else {
+            return null;
+        }
+        if (value !== undefined) {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Takes the current branch side of conflicted lock files and regenerates the lock file
+ * from the merged package.json files
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string[]} files - Conflicted lock files relative to the repository root
+ * @returns {Promise<void>} A promise that resolves when the lock file is regenerated and staged
+ */
+function resolveLockFiles(git, files) {
+    return git.raw(['checkout', '--ours', '--', ...files])
+        .then(() => regenerateLockFile())
+        .then(() => git.add(files));
+}
+
+module.exports = {
+    resolveMergeConflicts,
+    mergeVersionFileData
+};
@@ -18,22 +18,69 @@ const fs = require('fs');
 const path = require('path');
 const exec = require('child_process').exec;
 const semver = require('semver');
-const { handleError } = require('./git-utils');
-const { processLockFile } = require('./lock-file-utils');
+const { processLockFile, findLockFile } = require('./lock-file-utils');
+const { readManifest, writeManifest } = require('./manifest');
+const { detectWorkspacesProject, getWorkspacePackages } = require('./workspaces');
+const { getDependencyEntries } = require('./dependency-sections');
+const { isDryRun, recordAction } = require('./dry-run');
+const { getCwd, logger } = require('./context');
 
 /**
- * Changes package.json version using npm
+ * Checks if the project in the current directory is a lerna project
+ * 
+ * @returns {boolean} True if lerna.json exists in the project root
+ */
+function detectLernaProject() {
+    return fs.existsSync(path.resolve(getCwd(), "lerna.json"));
+}
+
+/**
+ * Changes package.json version.
+ * In npm workspaces projects the version of all workspace packages is changed as well.
+ * Versions of the changed packages are updated in the npm lock file if the project has one.
  * 
  * @param {string} version - The new version
  * @returns {Promise<void>} A promise that resolves when version is changed
  */
 function changePackageJsonVersion(version) {
-    return new Promise((resolve) => {
-        exec(`npm version ${version} --allow-same-version --no-git-tag-version`, err => {
-            handleError(err);
-            console.log("Version of package.json changed to " + version);
-            resolve();
+    return new Promise(resolve => {
+        const cwd = getCwd();
+        const isWorkspacesProject = detectWorkspacesProject();
+        const packageDirectories = ['', ...getWorkspacePackages().map(({ location }) => path.relative(cwd, location).split(path.sep).join('/'))];
+        const lockFile = findLockFile();
+        const npmLockFile = lockFile && lockFile.packageManager === 'npm' ? lockFile : null;
+
+        if (isDryRun()) {
+            const files = packageDirectories.map(directory => directory ? `${directory}/package.json` : 'package.json');
+            if (npmLockFile) {
+                files.push(npmLockFile.fileName);
+            }
+            recordAction(`update ${files.join(', ')}: set version to ${version}`).then(resolve);
+            return;
+        }
+
+        packageDirectories.forEach(directory => {
+            const manifest = readManifest(path.resolve(cwd, directory, 'package.json'));
+            manifest.data.version = version;
+            writeManifest(manifest);
         });
+
+        if (npmLockFile) {
+            const lockManifest = readManifest(npmLockFile.path);
+            // Lock files v2 and v3 keep versions of the root and workspace packages in the packages section
+            const lockPackages = lockManifest.data.packages || {};
+            const versionOwners = [lockManifest.data, ...packageDirectories.map(directory => lockPackages[directory])]
+                .filter(owner => owner && owner.version !== undefined);
+            versionOwners.forEach(owner => {
+                owner.version = version;
+            });
+            if (versionOwners.length > 0) {
+                writeManifest(lockManifest);
+            }
+        }
+
+        logger.log(`Version of package.json${isWorkspacesProject ? ' and workspace packages' : ''} changed to ${version}`);
+        resolve();
     });
 }
 
@@ -45,18 +92,25 @@ function changePackageJsonVersion(version) {
  * @returns {Promise<void>} A promise that resolves when version is changed
  */
 function changeLernaProjectVersion(version, branchName = null) {
-    return new Promise((resolve) => {
-        const allowBranchOption = branchName ? `--allow-branch ${branchName}` : '';
-        exec(`npx lerna version ${version} --force-publish --no-push --no-private --no-git-tag-version ${allowBranchOption} --yes`, err => {
-            handleError(err);
-            console.log("Version of lerna.json changed to " + version);
+    const allowBranchOption = branchName ? `--allow-branch ${branchName}` : '';
+    const command = `npx lerna version ${version} --force-publish --no-push --no-private --no-git-tag-version ${allowBranchOption} --yes`;
+    if (isDryRun()) {
+        return recordAction(command);
+    }
+    return new Promise((resolve, reject) => {
+        exec(command, { cwd: getCwd() }, err => {
+            if (err) {
+                return reject(err);
+            }
+            logger.log("Version of lerna.json changed to " + version);
             resolve();
         });
     });
 }
 
 /**
- * Updates dependencies with specific version pattern to a new version
+ * Updates dependencies with specific version pattern to a new version.
+ * Dependency sections, npm overrides, Yarn resolutions and pnpm overrides are updated.
  * 
  * @param {Object} packageJson - The package.json object
  * @param {Function} versionPredicate - Function that returns true if version should be updated
@@ -64,18 +118,14 @@ function changeLernaProjectVersion(version, branchName = null) {
  * @returns {Array} Array of updated packages
  */
 function updateDistTagDependencies(packageJson, versionPredicate, newVersion) {
-    const dependencyTypes = ['dependencies', 'devDependencies', 'peerDependencies'];
     let updatedPackages = [];
     
-    dependencyTypes.forEach(type => {
-        if (packageJson[type]) {
-            Object.entries(packageJson[type]).forEach(([pkg, version]) => {
-                if (versionPredicate(version)) {
-                    packageJson[type][pkg] = newVersion;
-                    console.log(`Updated ${pkg} from ${version} to ${newVersion} in ${type}`);
-                    updatedPackages.push(pkg);
-                }
-            });
+    getDependencyEntries(packageJson).forEach(entry => {
+        const version = entry.version;
+        if (versionPredicate(version)) {
+            entry.set(newVersion);
+            logger.log(`Updated ${entry.name} from ${version} to ${newVersion} in ${entry.section}`);
+            updatedPackages.push(entry.packageName);
         }
     });
     
@@ -90,21 +140,22 @@ function updateDistTagDependencies(packageJson, versionPredicate, newVersion) {
  * @returns {Promise<Array>} Promise resolving to list of updated packages
  */
 function updatePackageJsonDistTagDependencies(versionPredicate, newVersion) {
-    return new Promise((resolve) => {
-        const packageJsonPath = path.resolve(process.cwd(), "package.json");
-        const packageJsonFile = require(packageJsonPath);
+    return new Promise((resolve, reject) => {
+        const packageJsonPath = path.resolve(getCwd(), "package.json");
+        const manifest = readManifest(packageJsonPath);
         
         const updatedPackages = updateDistTagDependencies(
-            packageJsonFile,
+            manifest.data,
             versionPredicate,
             newVersion
         );
-        if (updatedPackages.length > 0) {
-            fs.writeFile(packageJsonPath, JSON.stringify(packageJsonFile, null, 2), err => {
-                if (err) throw err;
-                console.log(`Updated dependencies matching predicate to ${newVersion}`);
-                resolve(updatedPackages);
-            });
+        if (updatedPackages.length > 0 && isDryRun()) {
+            recordAction(`update ${packageJsonPath}: set ${updatedPackages.join(', ')} to ${newVersion}`)
+                .then(() => resolve(updatedPackages));
+        } else if (updatedPackages.length > 0) {
+            writeManifest(manifest);
+            logger.log(`Updated dependencies matching predicate to ${newVersion}`);
+            resolve(updatedPackages);
         } else {
             resolve([]);
         }
@@ -119,36 +170,77 @@ function updatePackageJsonDistTagDependencies(versionPredicate, newVersion) {
  * @returns {Promise<Array>} Promise resolving to list of updated packages
  */
 function updateLernaPackagesDistTagDependencies(versionPredicate, newVersion) {
-    return new Promise((resolve) => {
-        exec('npx lerna list --json', (err, stdout) => {
-            if (err) throw err;
+    return new Promise((resolve, reject) => {
+        exec('npx lerna list --json', { cwd: getCwd() }, (err, stdout) => {
+            if (err) {
+                return reject(err);
+            }
             
             const packages = JSON.parse(stdout);
             let allUpdatedPackages = [];
             
             packages.forEach(pkg => {
                 const packagePath = path.join(pkg.location, 'package.json');
-                const packageJson = require(packagePath);
+                const manifest = readManifest(packagePath);
                 
                 const updatedPackages = updateDistTagDependencies(
-                    packageJson,
+                    manifest.data,
                     versionPredicate,
                     newVersion
                 );
                 if (updatedPackages.length > 0) {
-                    fs.writeFileSync(packagePath, JSON.stringify(packageJson, null, 2));
+                    if (isDryRun()) {
+                        recordAction(`update ${packagePath}: set ${updatedPackages.join(', ')} to ${newVersion}`);
+                    } else {
+                        writeManifest(manifest);
+                    }
                     allUpdatedPackages = [...allUpdatedPackages, ...updatedPackages];
                 }
             });
             
             if (allUpdatedPackages.length > 0) {
-                console.log(`Updated dependencies matching predicate to ${newVersion} in all packages`);
+                logger.log(`Updated dependencies matching predicate to ${newVersion} in all packages`);
             }
             resolve(allUpdatedPackages);
         });
     });
 }
 
+/**
+ * Updates dependencies in all npm workspace packages
+ * 
+ * @param {Function} versionPredicate - Function that returns true if version should be updated
+ * @param {string} newVersion - The new version to set
+ * @returns {Promise<Array>} Promise resolving to list of updated packages
+ */
+function updateWorkspacePackagesDistTagDependencies(versionPredicate, newVersion) {
+    return new Promise(resolve => {
+        let allUpdatedPackages = [];
+
+        getWorkspacePackages().forEach(({ packageJsonPath }) => {
+            const manifest = readManifest(packageJsonPath);
+            const updatedPackages = updateDistTagDependencies(
+                manifest.data,
+                versionPredicate,
+                newVersion
+            );
+            if (updatedPackages.length > 0) {
+                if (isDryRun()) {
+                    recordAction(`update ${packageJsonPath}: set ${updatedPackages.join(', ')} to ${newVersion}`);
+                } else {
+                    writeManifest(manifest);
+                }
+                allUpdatedPackages = [...allUpdatedPackages, ...updatedPackages];
+            }
+        });
+
+        if (allUpdatedPackages.length > 0) {
+            logger.log(`Updated dependencies matching predicate to ${newVersion} in all workspace packages`);
+        }
+        resolve(allUpdatedPackages);
+    });
+}
+
 /**
  * Extracts scopes from a list of package names
  * 
@@ -178,47 +270,41 @@ function extractScopes(packages) {
  * @returns {Promise<void>} Promise that resolves when updates are complete
  */
 function updateDistTagsDependencies(isLernaProject, versionPredicate, newVersion, updateLockFile = false) {
-    return new Promise((resolve) => {
-        console.log("Updating dist tags" + (updateLockFile ? " and lock files" : ""));
+    return new Promise((resolve, reject) => {
+        logger.log("Updating dist tags" + (updateLockFile ? " and lock files" : ""));
         
-        // For lerna projects, update both root package.json and all packages
-        const updatePromises = isLernaProject 
-            ? [
-                updatePackageJsonDistTagDependencies(versionPredicate, newVersion),
-                updateLernaPackagesDistTagDependencies(versionPredicate, newVersion)
-              ]
-            : [updatePackageJsonDistTagDependencies(versionPredicate, newVersion)];
-            
-        Promise.all(updatePromises).then((results) => {
+        // For lerna and npm workspaces projects, update both root package.json and all packages.
+        // Packages are updated after the root package.json is written, workspaces are enumerated from it
+        const updateMonorepoPackages = isLernaProject
+            ? updateLernaPackagesDistTagDependencies
+            : detectWorkspacesProject() ? updateWorkspacePackagesDistTagDependencies : () => Promise.resolve([]);
+        const updatePromise = updatePackageJsonDistTagDependencies(versionPredicate, newVersion)
+            .then(rootPackages => updateMonorepoPackages(versionPredicate, newVersion)
+                .then(monorepoPackages => [rootPackages, monorepoPackages]));
+
+        updatePromise.then((results) => {
             // Flatten and combine all updated packages
             const updatedPackages = results.flat();
             const uniquePackages = [...new Set(updatedPackages)];
             
-            console.log("Updated packages:", uniquePackages);
+            logger.log("Updated packages:", uniquePackages);
             
             if (uniquePackages.length > 0 && updateLockFile) {
                 // Extract scopes from the updated packages
                 const scopes = extractScopes(uniquePackages);
-                console.log("Affected scopes:", scopes);
+                logger.log("Affected scopes:", scopes);
                 
                 if (scopes.length > 0) {
                     // Use processLockFile from lock-file-utils to update lock files for the affected scopes
-                    processLockFile(scopes)
+                    return processLockFile(scopes)
                         .then(() => {
-                            console.log("Updated lock files for scopes:", scopes);
-                            resolve();
-                        })
-                        .catch(err => {
-                            handleError(err);
+                            logger.log("Updated lock files for scopes:", scopes);
                             resolve();
                         });
-                } else {
-                    resolve();
                 }
-            } else {
-                resolve();
             }
-        });
+            resolve();
+        }).catch(reject);
     });
 }
 
@@ -252,10 +338,65 @@ function getIncrementedPatchVersion(version) {
     return semver.inc(versionCore, 'patch');
 }
 
+/**
+ * Returns the version core incremented by the release type.
+ * Returns null if the version is not valid
+ * 
+ * @param {string} version - The current version
+ * @param {string} bump - The release type (major, minor or patch)
+ * @returns {string|null} The incremented version or null if invalid
+ */
+function getBumpedVersion(version, bump) {
+    const versionCore = getVersionCore(version);
+    if (!versionCore) {
+        return null;
+    }
+    return semver.inc(versionCore, bump);
+}
+
+/**
+ * Returns the prerelease version of a feature or bugfix branch: <core>-<type>-<name>.0, e.g. 1.4.0-feature-login-form.0.
+ * The branch name is sanitized into a valid semver prerelease identifier.
+ * Returns null if the version is not valid
+ * 
+ * @param {string} version - The develop version
+ * @param {string} branchType - The type of branch (feature, bugfix)
+ * @param {string} branchName - The name of the branch without the type prefix
+ * @returns {string|null} The prerelease version or null if invalid
+ */
+function getTopicPrereleaseVersion(version, branchType, branchName) {
+    const versionCore = getVersionCore(version);
+    if (!versionCore) {
+        return null;
+    }
+    // Prerelease identifiers may contain only ASCII alphanumerics and hyphens
+    const identifier = [branchType, sanitizePrereleaseIdentifier(branchName)].filter(Boolean).join('-');
+    return `${versionCore}-${identifier}.0`;
+}
+
+/**
+ * Converts a branch name into a semver prerelease identifier: lower case, other characters than
+ * alphanumerics and hyphens are replaced with hyphens, repeated, leading and trailing hyphens are removed
+ * 
+ * @param {string} name - The branch name, e.g. JIRA-123/Login_form
+ * @returns {string} The identifier, e.g. jira-123-login-form, empty if the name has no alphanumerics
+ */
+function sanitizePrereleaseIdentifier(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/[^0-9a-z-]+/g, '-')
+        .replace(/-{2,}/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
 module.exports = {
+    detectLernaProject,
     changePackageJsonVersion,
     changeLernaProjectVersion,
     updateDistTagsDependencies,
     getIncrementedPatchVersion,
-    getVersionCore
+    getBumpedVersion,
+    getVersionCore,
+    getTopicPrereleaseVersion,
+    sanitizePrereleaseIdentifier
 }; 
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const semver = require('semver');
+const { getConfig } = require('./config');
+const { getPackageJsonFiles } = require('./workspaces');
+const { getDependencyEntries } = require('./dependency-sections');
+const { findLockFile } = require('./lock-file-utils');
+const { parseManifest, writeManifest } = require('./manifest');
+const { isDryRun, recordAction } = require('./dry-run');
+const { getCwd, logger } = require('./context');
+const { InvalidVersionError } = require('./errors');
+
+/**
+ * Dist-tags pinned when a release or hotfix is finished
+ */
+const PINNED_DIST_TAGS = ['next', 'hotfix'];
+
+/**
+ * Replaces next and hotfix dist-tag dependencies of the root, workspace and Lerna packages with the versions
+ * the tags currently point to. The version is taken from the lock file, 'npm view <package> dist-tags' is used
+ * if the lock file has no entry for the dependency. The version is written as ^x.y.z or x.y.z according to
+ * the "pinStyle" configuration option.
+ * In dry run mode package.json files are read from the branch and are not changed.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The branch to pin dependencies of, it is checked out unless in dry run mode
+ * @returns {Promise<{pinned: string[], packageJsons: Object[]}>} A promise that resolves with pinned dependencies
+ * in the 'name@tag -> version' format and the updated package.json contents
+ */
+function pinDistTagDependencies(git, branch) {
+    const readFile = isDryRun()
+        ? file => git.show([`${branch}:${file}`])
+        : file => Promise.resolve(fs.readFileSync(path.resolve(getCwd(), file), 'utf8'));
+    const lockFile = findLockFile();
+    const distTagVersions = new Map();
+    const pinned = [];
+    let findLockedVersion;
+
+    return (lockFile ? readFile(lockFile.fileName) : Promise.resolve(null))
+        .then(content => {
+            findLockedVersion = createLockedVersionLookup(lockFile, content);
+            return Promise.all(getPackageJsonFiles().map(file => readFile(file)
+                .then(content => Object.assign(parseManifest(content), { file, path: path.resolve(getCwd(), file) }))));
+        })
+        .then(manifests => manifests
+            .reduce((promise, manifest) => promise
+                .then(() => pinManifestDependencies(manifest, (packageName, distTag) =>
+                    findLockedVersion(packageName, distTag, path.posix.dirname(manifest.file)) || getDistTagVersion(distTagVersions, packageName, distTag)))
+                .then(changes => pinned.push(...changes)), Promise.resolve())
+            .then(() => ({ pinned, packageJsons: manifests.map(manifest => manifest.data) })));
+}
+
+/**
+ * Pins dist-tag dependencies of a package.json and writes it
+ * 
+ * @param {Object} manifest - The package.json manifest with the file path relative to the project root
+ * @param {Function} resolveVersion - Function returning the version (or a promise of it) for a package name and a dist-tag
+ * @returns {Promise<string[]>} A promise that resolves with pinned dependencies in the 'name@tag -> version' format
+ * @private
+ */
+function pinManifestDependencies(manifest, resolveVersion) {
+    const changes = [];
+    const entries = getDependencyEntries(manifest.data).filter(entry => PINNED_DIST_TAGS.includes(entry.version));
+
+    return entries
+        .reduce((promise, entry) => promise
+            .then(() => resolveVersion(entry.packageName, entry.version))
+            .then(version => {
+                const pinnedVersion = getConfig().pinStyle === 'exact' ? version : `^${version}`;
+                changes.push(`${entry.name}@${entry.version} -> ${pinnedVersion}`);
+                entry.set(pinnedVersion);
+            }), Promise.resolve())
+        .then(() => {
+            if (changes.length === 0) {
+                return changes;
+            }
+            if (isDryRun()) {
+                return recordAction(`update ${manifest.file}: pin ${changes.join(', ')}`).then(() => changes);
+            }
+            writeManifest(manifest);
+            logger.log(`Pinned dependencies in ${manifest.file}: ${changes.join(', ')}`);
+            return changes;
+        });
+}
+
+/**
+ * Creates a function finding the version a dist-tag dependency is locked to.
+ * npm lock files are looked up by the installation path, Yarn lock files by the 'name@tag' descriptor,
+ * other lock files are not supported.
+ * 
+ * @param {Object|null} lockFile - The lock file returned by findLockFile
+ * @param {string|null} content - The lock file content
+ * @returns {Function} Function of the dependency name, the dist-tag and the dependent package directory relative
+ * to the project root ('.' for the root) returning the locked version or null if the lock file has no entry for the dependency
+ */
+function createLockedVersionLookup(lockFile, content) {
+    if (!lockFile || !content) {
+        return () => null;
+    }
+    switch (lockFile.packageManager) {
+        case 'npm': {
+            const lockFileData = parseManifest(content).data;
+            return (packageName, distTag, packageDirectory) => findNpmLockedVersion(lockFileData, packageName, packageDirectory);
+        }
+        case 'yarn-classic':
+        case 'yarn-berry':
+            return (packageName, distTag) => findYarnLockedVersion(content, packageName, distTag);
+        default:
+            return () => null;
+    }
+}
+
+/**
+ * Finds the installed version of a dependency in package-lock.json or npm-shrinkwrap.json.
+ * The nested installation of a workspace package takes precedence over the hoisted one.
+ * 
+ * @param {Object} lockFileData - The lock file content
+ * @param {string} packageName - The dependency name
+ * @param {string} packageDirectory - The directory of the dependent package relative to the project root
+ * @returns {string|null} The version or null if the dependency is not in the lock file
+ * @private
+ */
+function findNpmLockedVersion(lockFileData, packageName, packageDirectory) {
+    const installPaths = packageDirectory === '.'
+        ? [`node_modules/${packageName}`]
+        : [`${packageDirectory}/node_modules/${packageName}`, `node_modules/${packageName}`];
+    const lockedPackage = installPaths.map(installPath => (lockFileData.packages || {})[installPath]).find(Boolean)
+        // Lock file version 1
+        || (lockFileData.dependencies || {})[packageName];
+    return lockedPackage && semver.valid(lockedPackage.version) ? lockedPackage.version : null;
+}
+
+/**
+ * Finds the version of the 'name@tag' entry of yarn.lock
+ * 
+ * @param {string} content - The yarn.lock content
+ * @param {string} packageName - The dependency name
+ * @param {string} distTag - The dist-tag the dependency references
+ * @returns {string|null} The version or null if yarn.lock has no entry for the descriptor
+ * @private
+ */
+function findYarnLockedVersion(content, packageName, distTag) {
+    const descriptors = [`${packageName}@${distTag}`, `${packageName}@npm:${distTag}`];
+    let isEntry = false;
+
+    for (const line of content.split(/\r?\n/)) {
+        // Top level entry starts a new block, indented fields belong to the current one
+        if (/^[^\s#]/.test(line)) {
+            isEntry = line.replace(/:\s*$/, '').split(',')
+                .map(descriptor => descriptor.trim().replace(/^["']|["']$/g, ''))
+                .some(descriptor => descriptors.includes(descriptor));
+        } else if (isEntry) {
+            const versionMatch = /^\s+version:?\s+["']?([^"'\s]+)["']?\s*$/.exec(line);
+            if (versionMatch && semver.valid(versionMatch[1])) {
+                return versionMatch[1];
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the version the dist-tag of the package points to in the registry
+ * 
+ * @param {Map<string, Object>} cache - Dist-tags of packages already requested
+ * @param {string} packageName - The package name
+ * @param {string} distTag - The dist-tag
+ * @returns {Promise<string>} A promise that resolves with the version, rejects with InvalidVersionError if the package has no such tag
+ */
+function getDistTagVersion(cache, packageName, distTag) {
+    if (!cache.has(packageName)) {
+        cache.set(packageName, viewDistTags(packageName));
+    }
+    return cache.get(packageName).then(distTags => {
+        if (!distTags[distTag] || !semver.valid(distTags[distTag])) {
+            throw new InvalidVersionError(`${packageName}@${distTag}`, `Dist-tag '${distTag}' of ${packageName} is not found in the lock file or the registry`);
+        }
+        return distTags[distTag];
+    });
+}
+
+/**
+ * Reads dist-tags of the package from the registry. The command does not change anything, so it runs in dry run mode too.
+ * 
+ * @param {string} packageName - The package name
+ * @returns {Promise<Object>} A promise that resolves with dist-tags mapped to versions
+ * @private
+ */
+function viewDistTags(packageName) {
+    const registry = getConfig().registry;
+    const command = `npm view ${packageName} dist-tags --json${registry ? ` --registry ${registry}` : ''}`;
+    return new Promise((resolve, reject) => {
+        exec(command, { cwd: getCwd() }, (error, stdout, stderr) => {
+            if (error) {
+                if (stderr) logger.error(stderr);
+                return reject(error);
+            }
+            try {
+                resolve(JSON.parse(stdout) || {});
+            } catch (err) {
+                reject(err);
+            }
+        });
+    });
+}
+
+module.exports = {
+    PINNED_DIST_TAGS,
+    pinDistTagDependencies,
+    createLockedVersionLookup
+};
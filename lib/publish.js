@@ -0,0 +1,266 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const { exec } = require('child_process');
+const timeStamp = require('time-stamp');
+const { getConfig } = require('./config');
+const { checkUncommittedChanges, getCurrentBranchName, discardChanges } = require('./git-utils');
+const {
+    detectLernaProject,
+    changePackageJsonVersion,
+    changeLernaProjectVersion,
+    getVersionCore,
+    sanitizePrereleaseIdentifier
+} = require('./npm-utils');
+const { detectWorkspacesProject, getProjectPackageJsons, getLernaPackages } = require('./workspaces');
+const { readManifest } = require('./manifest');
+const { getBranchType } = require('./status');
+const { validateDependencies } = require('./validate-dependencies');
+const { isDryRun, recordAction } = require('./dry-run');
+const { getCwd, logger } = require('./context');
+const { InvalidArgumentError, InvalidBranchError, InvalidVersionError } = require('./errors');
+
+/**
+ * Publishes the packages of the current branch with the dist-tag the dependency rules expect for the branch type.
+ * Dependencies are validated by the rules of the branch type first.
+ * Branches other than main and support get a unique prerelease version, which is not committed.
+ * Lerna and npm workspaces projects are published with 'lerna publish from-package'.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} [registry] - The registry URL, the configured registry or the npm default registry if not specified
+ * @returns {Promise<void>} A promise that resolves when the packages are published
+ */
+function publishPackages(git, registry) {
+    const isLernaProject = detectLernaProject();
+    const isMonorepo = isLernaProject || detectWorkspacesProject();
+    const registryUrl = registry || getConfig().registry;
+    let distTag;
+    let version;
+    let isStamped = false;
+
+    if (registryUrl && !/^https?:\/\/\S+$/.test(registryUrl)) {
+        return Promise.reject(new InvalidArgumentError(`Registry must be an http(s) URL, got ${registryUrl}`));
+    }
+
+    return checkUncommittedChanges(git)
+        .then(() => getCurrentBranchName(git))
+        .then(branch => {
+            distTag = getDistTag(branch);
+            if (!distTag) {
+                throw new InvalidBranchError(branch, `Cannot publish from ${branch}, it is not a gitflow branch`);
+            }
+            return validateDependencies(getBranchType(branch)).then(() => branch);
+        })
+        .then(branch => {
+            const currentVersion = readProjectVersion(isLernaProject);
+            version = isReleaseDistTag(branch) ? currentVersion : getPublishVersion(currentVersion, distTag);
+            if (!version) {
+                throw new InvalidVersionError(currentVersion);
+            }
+            if (version === currentVersion) {
+                return;
+            }
+            isStamped = true;
+            return isLernaProject ? changeLernaProjectVersion(version, branch) : changePackageJsonVersion(version);
+        })
+        .then(() => runPublishCommand(getPublishCommand(isMonorepo, distTag, registryUrl)))
+        // The prerelease version is only used for publishing
+        .finally(() => isStamped ? discardChanges(git) : undefined)
+        .then(() => logger.log(`${isDryRun() ? 'Going to publish' : 'Published'} ${version} with dist-tag '${distTag}'${registryUrl ? ` to ${registryUrl}` : ''}`));
+}
+
+/**
+ * Returns the dist-tag for the branch: latest for main, support-<major.minor> for support branches,
+ * dev for develop, next for release, hotfix for hotfix and <type>-<name> for feature and bugfix branches
+ * 
+ * @param {string} branch - The branch name
+ * @returns {string|null} The dist-tag or null if the branch is not a gitflow branch
+ */
+function getDistTag(branch) {
+    const { prefixes } = getConfig();
+    const branchType = getBranchType(branch);
+
+    switch (branchType) {
+        case 'main':
+            return 'latest';
+        case 'develop':
+            return 'dev';
+        case 'release':
+            return 'next';
+        case 'hotfix':
+            return 'hotfix';
+        case 'support':
+            // Older release lines must not move the latest tag
+            return `support-${branch.slice(prefixes.support.length)}`;
+        case 'feature':
+        case 'bugfix':
+            return [branchType, sanitizePrereleaseIdentifier(branch.slice(prefixes[branchType].length))].filter(Boolean).join('-');
+        default:
+            return null;
+    }
+}
+
+/**
+ * Checks if the branch publishes release versions as they are
+ * 
+ * @param {string} branch - The branch name
+ * @returns {boolean} True for main and support branches
+ */
+function isReleaseDistTag(branch) {
+    return ['main', 'support'].includes(getBranchType(branch));
+}
+
+/**
+ * Returns a unique prerelease version for publishing: <core>-<dist-tag>.<timestamp>, e.g. 1.4.0-dev.20250314093000
+ * 
+ * @param {string} version - The version of the branch
+ * @param {string} distTag - The dist-tag of the branch
+ * @returns {string|null} The prerelease version or null if the version is not valid
+ */
+function getPublishVersion(version, distTag) {
+    const versionCore = getVersionCore(version);
+    if (!versionCore) {
+        return null;
+    }
+    return `${versionCore}-${distTag}.${timeStamp('YYYYMMDDHHmmss')}`;
+}
+
+/**
+ * Reads the project version from lerna.json or package.json of the working directory
+ * 
+ * @param {boolean} isLernaProject - Whether the project is a Lerna monorepo
+ * @returns {string} The version
+ */
+function readProjectVersion(isLernaProject) {
+    return readManifest(path.resolve(getCwd(), isLernaProject ? 'lerna.json' : 'package.json')).data.version;
+}
+
+/**
+ * Returns the publish command
+ * 
+ * @param {boolean} isMonorepo - Whether the project is a Lerna or npm workspaces monorepo
+ * @param {string} distTag - The dist-tag to publish with
+ * @param {string} [registryUrl] - The registry URL
+ * @returns {string} The command
+ */
+function getPublishCommand(isMonorepo, distTag, registryUrl) {
+    const registryOption = registryUrl ? ` --registry ${registryUrl}` : '';
+    return isMonorepo
+        ? `npx lerna publish from-package --dist-tag ${distTag} --yes${registryOption}`
+        : `npm publish --tag ${distTag}${registryOption}`;
+}
+
+/**
+ * Runs the publish command in the project directory
+ * 
+ * @param {string} command - The command
+ * @returns {Promise<void>} A promise that resolves when the command succeeds
+ */
+function runPublishCommand(command) {
+    if (isDryRun()) {
+        return recordAction(command);
+    }
+    return new Promise((resolve, reject) => {
+        logger.log(`Running: ${command}`);
+        exec(command, { cwd: getCwd() }, (error, stdout, stderr) => {
+            if (stdout) logger.log(stdout);
+            if (error) {
+                if (stderr) logger.error(stderr);
+                return reject(error);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Removes the dist-tag of the branch from every public package of the project (root, workspace and Lerna packages).
+ * Packages without the tag are skipped.
+ * 
+ * @param {string} branch - The branch name
+ * @param {string} [registry] - The registry URL, the configured registry or the npm default registry if not specified
+ * @returns {Promise<void>} A promise that resolves when the dist-tags are removed
+ */
+function cleanupDistTags(branch, registry) {
+    const distTag = getDistTag(branch);
+    if (!distTag || isReleaseDistTag(branch)) {
+        return Promise.reject(new InvalidBranchError(branch, `Dist-tags of ${branch} cannot be removed, only prerelease dist-tags are cleaned up`));
+    }
+    const registryUrl = registry || getConfig().registry;
+    const packageNames = [...new Set([...getProjectPackageJsons(), ...getLernaPackages().map(lernaPackage => lernaPackage.packageJson)]
+        .filter(packageJson => packageJson.name && !packageJson.private)
+        .map(packageJson => packageJson.name))];
+    const removed = [];
+    const missing = [];
+
+    if (packageNames.length === 0) {
+        logger.log(`No public packages, dist-tag '${distTag}' is not removed`);
+        return Promise.resolve();
+    }
+
+    return packageNames
+        .reduce((promise, packageName) => promise
+            .then(() => removeDistTag(packageName, distTag, registryUrl))
+            .then(isRemoved => (isRemoved ? removed : missing).push(packageName)), Promise.resolve())
+        .then(() => {
+            if (isDryRun()) {
+                return;
+            }
+            logger.log(removed.length > 0
+                ? `Removed dist-tag '${distTag}' from: ${removed.join(', ')}`
+                : `Dist-tag '${distTag}' was not found on any package`);
+            if (removed.length > 0 && missing.length > 0) {
+                logger.log(`Dist-tag '${distTag}' was not found on: ${missing.join(', ')}`);
+            }
+        });
+}
+
+/**
+ * Removes the dist-tag from the package, a missing tag or package is tolerated
+ * 
+ * @param {string} packageName - The package name
+ * @param {string} distTag - The dist-tag to remove
+ * @param {string} [registryUrl] - The registry URL
+ * @returns {Promise<boolean>} A promise that resolves with true if the tag was removed, false if it did not exist
+ */
+function removeDistTag(packageName, distTag, registryUrl) {
+    const command = `npm dist-tag rm ${packageName} ${distTag}${registryUrl ? ` --registry ${registryUrl}` : ''}`;
+    if (isDryRun()) {
+        return recordAction(command).then(() => true);
+    }
+    return new Promise((resolve, reject) => {
+        exec(command, { cwd: getCwd() }, (error, stdout, stderr) => {
+            if (!error) {
+                return resolve(true);
+            }
+            // npm reports a missing tag as "<tag> is not a dist-tag on <package>" and a missing package as E404
+            if (/is not a dist-tag|E404|404 Not Found/.test(`${stderr}${error.message}`)) {
+                return resolve(false);
+            }
+            if (stderr) logger.error(stderr);
+            reject(error);
+        });
+    });
+}
+
+module.exports = {
+    publishPackages,
+    cleanupDistTags,
+    getDistTag,
+    getPublishVersion,
+    getPublishCommand
+};
@@ -0,0 +1,279 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const http = require('http');
+const https = require('https');
+const { getConfig } = require('./config');
+const { isDryRun, recordAction } = require('./dry-run');
+const { logger } = require('./context');
+const { PullRequestError } = require('./errors');
+
+/**
+ * Pull request providers by name. A provider has the default API URL, the environment variable with the API token,
+ * a method creating a pull request and a method finding the latest pull request of a branch:
+ * createPullRequest(api, { sourceBranch, targetBranch, title, description, squash }) resolves with { number, url, state }
+ * and findPullRequest(api, { sourceBranch, targetBranch }) resolves with { number, url, state } or null,
+ * where state is 'open', 'merged' or 'closed' and api is the client returned by createApiClient.
+ */
+const PROVIDERS = {
+    github: {
+        defaultBaseUrl: 'https://api.github.com',
+        tokenVariable: 'GITHUB_TOKEN',
+        headers: { Accept: 'application/vnd.github+json' },
+        createPullRequest: (api, { sourceBranch, targetBranch, title, description }) =>
+            api.request('POST', `/repos/${api.repository}/pulls`, { title, head: sourceBranch, base: targetBranch, body: description })
+                .then(toGitHubPullRequest),
+        findPullRequest: (api, { sourceBranch, targetBranch }) => {
+            const owner = api.repository.split('/')[0];
+            const query = `head=${encodeURIComponent(`${owner}:${sourceBranch}`)}&base=${encodeURIComponent(targetBranch)}&state=all`;
+            return api.request('GET', `/repos/${api.repository}/pulls?${query}`)
+                .then(pullRequests => pullRequests.length > 0 ? toGitHubPullRequest(pullRequests[0]) : null);
+        }
+    },
+    gitlab: {
+        defaultBaseUrl: 'https://gitlab.com/api/v4',
+        tokenVariable: 'GITLAB_TOKEN',
+        headers: {},
+        createPullRequest: (api, { sourceBranch, targetBranch, title, description, squash }) =>
+            api.request('POST', `/projects/${encodeURIComponent(api.repository)}/merge_requests`, {
+                source_branch: sourceBranch,
+                target_branch: targetBranch,
+                title,
+                description,
+                squash: Boolean(squash),
+                remove_source_branch: true
+            }).then(toGitLabMergeRequest),
+        findPullRequest: (api, { sourceBranch, targetBranch }) => {
+            const query = `source_branch=${encodeURIComponent(sourceBranch)}&target_branch=${encodeURIComponent(targetBranch)}&order_by=created_at&sort=desc`;
+            return api.request('GET', `/projects/${encodeURIComponent(api.repository)}/merge_requests?${query}`)
+                .then(mergeRequests => mergeRequests.length > 0 ? toGitLabMergeRequest(mergeRequests[0]) : null);
+        }
+    },
+    bitbucket: {
+        defaultBaseUrl: 'https://api.bitbucket.org/2.0',
+        tokenVariable: 'BITBUCKET_TOKEN',
+        headers: {},
+        createPullRequest: (api, { sourceBranch, targetBranch, title, description }) =>
+            api.request('POST', `/repositories/${api.repository}/pullrequests`, {
+                title,
+                description,
+                source: { branch: { name: sourceBranch } },
+                destination: { branch: { name: targetBranch } },
+                close_source_branch: true
+            }).then(toBitbucketPullRequest),
+        findPullRequest: (api, { sourceBranch, targetBranch }) => {
+            const filter = `source.branch.name="${sourceBranch}" AND destination.branch.name="${targetBranch}"`;
+            const query = `q=${encodeURIComponent(filter)}&state=OPEN&state=MERGED&state=DECLINED&sort=-created_on`;
+            return api.request('GET', `/repositories/${api.repository}/pullrequests?${query}`)
+                .then(page => page.values.length > 0 ? toBitbucketPullRequest(page.values[0]) : null);
+        }
+    }
+};
+
+/**
+ * Registers a pull request provider, e.g. for a self-hosted service with a different API
+ *
+ * @param {string} name - The provider name used in the "pullRequests.provider" configuration option
+ * @param {Object} provider - The provider, see PROVIDERS for the interface
+ */
+function registerPullRequestProvider(name, provider) {
+    PROVIDERS[name] = Object.assign({ headers: {} }, provider);
+}
+
+/**
+ * Creates the API client of the configured pull request provider. The provider and the repository are inferred
+ * from the remote URL unless configured, the token is read from the environment variable of the provider.
+ *
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<Object>} A promise that resolves with the client: provider, repository and request(method, path, body)
+ */
+function createApiClient(git) {
+    const { remote, pullRequests } = getConfig();
+
+    return git.remote(['get-url', remote]).then(remoteUrl => {
+        const remoteLocation = parseRemoteUrl((remoteUrl || '').trim());
+        const providerName = pullRequests.provider || inferProvider(remoteLocation.host);
+        const provider = PROVIDERS[providerName];
+        const repository = pullRequests.repository || remoteLocation.repository;
+
+        if (!provider) {
+            throw new PullRequestError(providerName
+                ? `Unknown pull request provider '${providerName}', supported providers are: ${Object.keys(PROVIDERS).join(', ')}`
+                : `Cannot infer the pull request provider from ${remote} remote, set the "pullRequests.provider" configuration option`);
+        }
+        if (!repository) {
+            throw new PullRequestError(`Cannot infer the repository from ${remote} remote, set the "pullRequests.repository" configuration option`);
+        }
+        const token = process.env[provider.tokenVariable];
+        if (!token) {
+            throw new PullRequestError(`${provider.tokenVariable} environment variable with an API token is required to open pull requests on ${providerName}`);
+        }
+        const baseUrl = (pullRequests.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, '');
+
+        return {
+            provider: providerName,
+            repository,
+            request: (method, path, body) => requestJson(method, baseUrl + path, Object.assign({
+                Authorization: `Bearer ${token}`,
+                Accept: 'application/json',
+                'Content-Type': 'application/json',
+                'User-Agent': 'npm-gitflow'
+            }, provider.headers), body)
+        };
+    });
+}
+
+/**
+ * Finds the latest pull request from the source branch to the target branch
+ *
+ * @param {Object} api - The client returned by createApiClient
+ * @param {string} sourceBranch - The branch to merge
+ * @param {string} targetBranch - The branch to merge into
+ * @returns {Promise<Object|null>} A promise that resolves with the pull request ({number, url, state}) or null
+ */
+function findPullRequest(api, sourceBranch, targetBranch) {
+    return PROVIDERS[api.provider].findPullRequest(api, { sourceBranch, targetBranch });
+}
+
+/**
+ * Opens a pull request from the source branch to the target branch
+ *
+ * @param {Object} api - The client returned by createApiClient
+ * @param {Object} pullRequest - The pull request
+ * @param {string} pullRequest.sourceBranch - The branch to merge
+ * @param {string} pullRequest.targetBranch - The branch to merge into
+ * @param {string} pullRequest.title - The title
+ * @param {string} [pullRequest.description] - The description
+ * @param {boolean} [pullRequest.squash] - Whether the commits should be squashed on merge, if the provider supports it
+ * @returns {Promise<Object|undefined>} A promise that resolves with the created pull request ({number, url, state})
+ */
+function createPullRequest(api, pullRequest) {
+    if (isDryRun()) {
+        return recordAction(`open ${api.provider} pull request ${pullRequest.sourceBranch} -> ${pullRequest.targetBranch}: "${pullRequest.title}"`);
+    }
+    return PROVIDERS[api.provider].createPullRequest(api, pullRequest).then(created => {
+        logger.log(`Opened pull request ${created.url}`);
+        return created;
+    });
+}
+
+/**
+ * Sends a JSON request to the provider API
+ *
+ * @param {string} method - The HTTP method
+ * @param {string} url - The request URL
+ * @param {Object} headers - The request headers
+ * @param {Object} [body] - The request body
+ * @returns {Promise<*>} A promise that resolves with the parsed response, rejects with PullRequestError on error responses
+ * @private
+ */
+function requestJson(method, url, headers, body) {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const requestHeaders = payload === null ? headers : Object.assign({ 'Content-Length': Buffer.byteLength(payload) }, headers);
+
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.request(url, { method, headers: requestHeaders }, response => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                text += chunk;
+            });
+            response.on('end', () => {
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    return reject(new PullRequestError(`${method} ${url} failed with ${response.statusCode} ${response.statusMessage}: ${text.slice(0, 500)}`));
+                }
+                try {
+                    resolve(text ? JSON.parse(text) : null);
+                } catch (err) {
+                    reject(new PullRequestError(`${method} ${url} returned invalid JSON: ${err.message}`));
+                }
+            });
+        });
+        request.on('error', err => reject(new PullRequestError(`${method} ${url} failed: ${err.message}`)));
+        request.end(payload === null ? undefined : payload);
+    });
+}
+
+/**
+ * Extracts the host and the repository path from a remote URL,
+ * e.g. git@github.com:company/project.git or https://gitlab.com/group/subgroup/project.git
+ *
+ * @param {string} remoteUrl - The remote URL
+ * @returns {{host: string|null, repository: string|null}} The host and the repository path without the .git suffix
+ */
+function parseRemoteUrl(remoteUrl) {
+    // Local paths and file URLs have no provider
+    const match = !/^(file:|\/|\.|[a-z]:\\)/i.test(remoteUrl)
+        && /^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^/:]+)(?::\d+)?[:/](.+?)(?:\.git)?\/?$/i.exec(remoteUrl);
+    if (!match) {
+        return { host: null, repository: null };
+    }
+    return { host: match[1].toLowerCase(), repository: match[2] };
+}
+
+/**
+ * Infers the provider from the remote host
+ *
+ * @param {string|null} host - The remote host
+ * @returns {string|null} The provider name or null
+ * @private
+ */
+function inferProvider(host) {
+    return host ? Object.keys(PROVIDERS).find(name => host.includes(name)) || null : null;
+}
+
+/**
+ * Converts a GitHub pull request to { number, url, state }, merged pull requests are closed with merged_at set
+ *
+ * @param {Object} pullRequest - The pull request returned by the GitHub API
+ * @returns {{number: number, url: string, state: string}} The pull request
+ * @private
+ */
+function toGitHubPullRequest(pullRequest) {
+    return { number: pullRequest.number, url: pullRequest.html_url, state: pullRequest.merged_at ? 'merged' : pullRequest.state };
+}
+
+/**
+ * Converts a GitLab merge request to { number, url, state }, the project-level iid is used as the number
+ *
+ * @param {Object} mergeRequest - The merge request returned by the GitLab API
+ * @returns {{number: number, url: string, state: string}} The pull request
+ * @private
+ */
+function toGitLabMergeRequest(mergeRequest) {
+    return { number: mergeRequest.iid, url: mergeRequest.web_url, state: mergeRequest.state === 'opened' ? 'open' : mergeRequest.state };
+}
+
+/**
+ * Converts a Bitbucket pull request to { number, url, state }, declined and superseded pull requests are closed
+ *
+ * @param {Object} pullRequest - The pull request returned by the Bitbucket API
+ * @returns {{number: number, url: string, state: string}} The pull request
+ * @private
+ */
+function toBitbucketPullRequest(pullRequest) {
+    const states = { OPEN: 'open', MERGED: 'merged' };
+    return { number: pullRequest.id, url: pullRequest.links.html.href, state: states[pullRequest.state] || 'closed' };
+}
+
+module.exports = {
+    registerPullRequestProvider,
+    createApiClient,
+    findPullRequest,
+    createPullRequest,
+    parseRemoteUrl
+};
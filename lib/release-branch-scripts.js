@@ -14,94 +14,902 @@
  * limitations under the License.
  */
 
-const fs = require('fs');
 const path = require('path');
 const semver = require('semver');
-const packageJsonPath = path.resolve(process.cwd(), "package.json");
 const { 
     checkUncommittedChanges,
     commitAndPush,
+    createReleaseBranch,
+    createHotfixBranch,
+    createSupportBranch,
+    checkRemoteBranchExists,
+    listRemoteBranches,
+    getCurrentBranchName,
     switchToBranchAndPull, 
     mergeFromBranch, 
-    createAndPushTag, 
-    push, 
+    createTag,
+    pushTag,
+    deleteLocalTag,
+    pushNewBranch,
     deleteBranch,
-    handleError,
-    getVersionFromBranch 
+    getVersionFromBranch,
+    getCommitHash,
+    resetBranch,
+    fetchTags,
+    getReleaseTags
 } = require('./git-utils');
 const { 
+    detectLernaProject,
     changePackageJsonVersion, 
     changeLernaProjectVersion,
+    updateDistTagsDependencies,
     getVersionCore,
-    getIncrementedPatchVersion
+    getIncrementedPatchVersion,
+    getBumpedVersion
 } = require('./npm-utils');
 const { validateDependencies } = require('./validate-dependencies');
+const { pinDistTagDependencies } = require('./pin-dependencies');
+const { getConfig, formatTag, parseTag, getTopicBranchName } = require('./config');
+const { isDryRun, recordAction } = require('./dry-run');
+const { getCommitSignOptions } = require('./signing');
+const { readJournal, createJournal } = require('./release-journal');
+const { findLockFile } = require('./lock-file-utils');
+const { getProjectPackageJsonsFromBranch } = require('./workspaces');
+const { readManifest } = require('./manifest');
+const { updateChangelog } = require('./changelog');
+const { getCommitsSinceLastRelease, getReleaseBump } = require('./conventional-commits');
+const { getCwd, logger } = require('./context');
+const {
+    InvalidArgumentError,
+    InvalidVersionError,
+    InvalidBranchError,
+    BranchExistsError,
+    WorkflowStateError,
+    WorkflowInterruptedError
+} = require('./errors');
+
+const RELEASE_BUMPS = ['major', 'minor', 'patch'];
+
+/**
+ * Creates a release branch from develop, optionally sets the release version
+ * and replaces 'dev' dist-tag dependencies with 'next'
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} [version] - The release version (Major.Minor.Patch), version core of develop is used if neither version nor bump is specified
+ * @param {string} [bump] - 'auto' to infer the bump from Conventional Commits since the last release or an explicit bump (major, minor, patch)
+ * @returns {Promise<void>} A promise that resolves when the release branch is created and pushed
+ */
+function startReleaseBranch(git, version, bump) {
+    if (bump) {
+        if (version) {
+            return Promise.reject(new InvalidArgumentError('Version and bump cannot be specified together'));
+        }
+        if (bump !== 'auto' && !RELEASE_BUMPS.includes(bump)) {
+            return Promise.reject(new InvalidArgumentError(`Invalid bump: ${bump}, supported values are: ${RELEASE_BUMPS.join(', ')}`));
+        }
+    }
+    if (version) {
+        const versionCore = getVersionCore(version);
+        if (!versionCore) {
+            return Promise.reject(new InvalidVersionError(version, 'Version must be a valid semver format (e.g., 1.2.3)'));
+        }
+        if (version !== versionCore) {
+            return Promise.reject(new InvalidVersionError(version, 'Version should only include Major.Minor.Patch'));
+        }
+    }
+
+    const isLernaProject = detectLernaProject();
+    const { branches } = getConfig();
+
+    // Check if release is already in progress
+    return checkUncommittedChanges(git)
+        .then(() => checkRemoteBranchExists(git, branches.release))
+        .then(exists => {
+            if (exists) {
+                throw new BranchExistsError(branches.release, 'Release branch already exists. A release is already in progress.');
+            }
+            return switchToBranchAndPull(git, branches.develop);
+        })
+        .then(() => checkPackageJsonVersions())
+        .then(() => {
+            if (bump) {
+                return getNextReleaseVersion(git, bump, isLernaProject).then(nextVersion => {
+                    version = nextVersion;
+                });
+            }
+        })
+        .then(() => createReleaseBranch(git))
+        .then(() => {
+            // If version is specified, update package.json and/or lerna.json
+            if (version) {
+                logger.log(`Setting version to ${version} in release branch`);
+                return isLernaProject 
+                    ? changeLernaProjectVersion(version, branches.release)
+                    : changePackageJsonVersion(version);
+            }
+        })
+        .then(() => updateDistTagsDependencies(isLernaProject, dependencyVersion => dependencyVersion === 'dev', 'next'))
+        .then(() => {
+            const commitMessage = version 
+                ? `chore: release start ${version}` 
+                : 'chore: release start';
+            return commitAndPush(git, branches.release, commitMessage);
+        })
+        .then(() => {
+            logger.log("Summary of actions:");
+            logger.log(`- A new ${branches.release} branch was created from ${branches.develop}`);
+            if (version) {
+                logger.log(`- Version was set to ${version} in the release branch`);
+            }
+            logger.log("- Dependencies with 'dev' tag were updated to 'next'");
+            logger.log("- All changes were committed and pushed to remote");
+            logger.log("\nYou can now make changes to prepare for the release.");
+            logger.log("When you're ready to finish the release, run 'release-finish'.");
+        });
+}
+
+/**
+ * Calculates the next release version by bumping the last released version.
+ * The last release is the latest release tag on main or the main version if there are no tags.
+ * Prints the reasoning of the bump: which commits since the last release triggered it.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} bump - 'auto' to infer the bump from Conventional Commits or an explicit bump (major, minor, patch)
+ * @param {boolean} isLernaProject - Whether the project is a Lerna monorepo
+ * @returns {Promise<string>} A promise that resolves with the next release version
+ */
+function getNextReleaseVersion(git, bump, isLernaProject) {
+    const { remote, branches } = getConfig();
+    const mainRef = `${remote}/${branches.main}`;
+
+    return getCommitsSinceLastRelease(git, branches.develop, mainRef)
+        .then(({ tag, commits }) => {
+            const tagVersion = tag && parseTag(tag);
+            const lastVersionPromise = tagVersion
+                ? Promise.resolve(tagVersion)
+                : getVersionFromBranch(git, mainRef, isLernaProject);
+            return lastVersionPromise.then(lastVersion => {
+                logger.log(tag
+                    ? `Last release: ${lastVersion} (tag ${tag})`
+                    : `No release tags found on ${branches.main}, last release: ${lastVersion} (${branches.main} version)`);
+
+                let releaseBump = bump;
+                if (bump === 'auto') {
+                    const { bump: inferredBump, reasons } = getReleaseBump(commits);
+                    releaseBump = inferredBump;
+                    logger.log(`Conventional Commits on ${branches.develop} since ${tag || 'the first commit'}: ${commits.length}`);
+                    reasons.forEach(({ bump: commitBump, commit }) => logger.log(`  ${commitBump}: ${formatCommit(commit)}`));
+                    if (inferredBump === 'patch') {
+                        logger.log('No breaking changes or features found, patch version is bumped');
+                    }
+                }
+
+                const nextVersion = getBumpedVersion(lastVersion, releaseBump);
+                if (!nextVersion) {
+                    throw new InvalidVersionError(lastVersion);
+                }
+                logger.log(`${bump === 'auto' ? 'Inferred' : 'Requested'} ${releaseBump} bump: ${lastVersion} -> ${nextVersion}`);
+                return nextVersion;
+            });
+        });
+}
+
+/**
+ * Formats a parsed commit for the bump reasoning
+ * 
+ * @param {Object} commit - Parsed Conventional Commit
+ * @returns {string} Short hash and the commit header
+ */
+function formatCommit(commit) {
+    const scope = commit.scope ? `(${commit.scope})` : '';
+    const note = commit.breakingNote ? ` (BREAKING CHANGE: ${commit.breakingNote})` : '';
+    return `${commit.hash.slice(0, 7)} ${commit.type}${scope}${commit.breaking && !commit.breakingNote ? '!' : ''}: ${commit.subject}${note}`;
+}
+
+/**
+ * Creates a support branch for maintaining an older release line from the latest release tag of the line
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} version - The release line (Major.Minor)
+ * @returns {Promise<void>} A promise that resolves when the support branch is created and pushed
+ */
+function startSupportBranch(git, version) {
+    if (!/^\d+\.\d+$/.test(version || '')) {
+        return Promise.reject(new InvalidVersionError(version, 'Support version must be in the Major.Minor format (e.g., 2.3)'));
+    }
+    const supportBranch = getTopicBranchName('support', version);
+    let releaseTag;
+
+    return checkUncommittedChanges(git)
+        .then(() => checkRemoteBranchExists(git, supportBranch))
+        .then(exists => {
+            if (exists) {
+                throw new BranchExistsError(supportBranch, `Support branch for ${version} already exists.`);
+            }
+            return fetchTags(git);
+        })
+        .then(() => getReleaseTags(git))
+        .then(tags => {
+            releaseTag = findLatestReleaseTag(tags, version);
+            if (!releaseTag) {
+                throw new InvalidVersionError(version, `No release tag found for ${version}`);
+            }
+            logger.log(`Latest ${version} release tag: ${releaseTag}`);
+            return createSupportBranch(git, supportBranch, releaseTag);
+        })
+        .then(() => pushNewBranch(git, supportBranch))
+        .then(() => {
+            logger.log("Summary of actions:");
+            logger.log(`- A new ${supportBranch} branch was created from ${releaseTag}`);
+            logger.log("- The branch was pushed to remote");
+            logger.log(`\nRun 'hotfix-start --base ${supportBranch}' to start a hotfix of the ${version} release line.`);
+        });
+}
+
+/**
+ * Finds the latest release tag of the release line
+ * 
+ * @param {string[]} tags - Release tags
+ * @param {string} version - The release line (Major.Minor)
+ * @returns {string|undefined} The latest release tag or undefined if the line has no releases
+ */
+function findLatestReleaseTag(tags, version) {
+    const [major, minor] = version.split('.').map(Number);
+    const releases = tags
+        .map(tag => ({ tag, version: semver.valid(parseTag(tag) || '') }))
+        .filter(release => release.version && semver.prerelease(release.version) === null &&
+            semver.major(release.version) === major && semver.minor(release.version) === minor)
+        .sort((a, b) => semver.rcompare(a.version, b.version));
+    return releases.length > 0 ? releases[0].tag : undefined;
+}
+
+/**
+ * Creates a hotfix branch from main or a support branch and increments the patch version.
+ * Named hotfixes (hotfix/<name>) can be in progress at the same time, each gets the next free patch version.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} [baseBranch] - The branch to fix, main or a support branch (e.g. support/2.3), main by default
+ * @param {string} [name] - The hotfix name, the branch is named hotfix/<name>; the hotfix branch is used if not specified
+ * @returns {Promise<void>} A promise that resolves when the hotfix branch is created and pushed
+ */
+function startHotfixBranch(git, baseBranch, name) {
+    const isLernaProject = detectLernaProject();
+    const { branches, prefixes } = getConfig();
+    const base = baseBranch || branches.main;
+    let hotfixBranch;
+    let otherHotfixBranches;
+    let hotfixVersion;
+
+    if (base !== branches.main && !base.startsWith(prefixes.support)) {
+        return Promise.reject(new InvalidBranchError(base, `Hotfix base must be ${branches.main} or a support branch (${prefixes.support}<major.minor>)`));
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return Promise.reject(new InvalidArgumentError('hotfix name must not be empty!'));
+    }
+    hotfixBranch = getHotfixBranchName(name);
+
+    // Check if the hotfix is already in progress
+    return checkUncommittedChanges(git)
+        .then(() => listRemoteBranches(git))
+        .then(remoteBranches => {
+            if (remoteBranches.includes(hotfixBranch)) {
+                throw new BranchExistsError(hotfixBranch, name
+                    ? undefined
+                    : `Hotfix branch already exists. A hotfix is already in progress. Run 'hotfix-start <name>' to start another one.`);
+            }
+            otherHotfixBranches = remoteBranches.filter(isHotfixBranch);
+            // Git cannot have both 'hotfix' and 'hotfix/<name>' branches
+            if (!name && otherHotfixBranches.length > 0) {
+                throw new BranchExistsError(otherHotfixBranches[0], `Hotfixes ${otherHotfixBranches.join(', ')} are in progress. Run 'hotfix-start <name>' to start another one.`);
+            }
+            if (name && otherHotfixBranches.includes(branches.hotfix)) {
+                throw new BranchExistsError(branches.hotfix, `Hotfix branch ${branches.hotfix} is in progress. Finish it before starting named hotfixes.`);
+            }
+            if (base !== branches.main && !remoteBranches.includes(base)) {
+                throw new InvalidBranchError(base, `Branch ${base} does not exist. Run 'support-start' to create it.`);
+            }
+        })
+        .then(() => switchToBranchAndPull(git, base))
+        .then(() => getVersionFromBranch(git, base, isLernaProject))
+        .then(version => {
+            if (!getIncrementedPatchVersion(version)) {
+                throw new InvalidVersionError(version);
+            }
+            return getNextFreeHotfixVersion(git, version, otherHotfixBranches, isLernaProject);
+        })
+        .then(version => {
+            hotfixVersion = version;
+            return createHotfixBranch(git, base, hotfixBranch);
+        })
+        .then(() => isLernaProject 
+            ? changeLernaProjectVersion(hotfixVersion, hotfixBranch)
+            : changePackageJsonVersion(hotfixVersion))
+        .then(() => {
+            logger.log(`Set hotfix version to ${hotfixVersion}`);
+            return commitAndPush(git, hotfixBranch, `chore: hotfix started, hotfix version ${hotfixVersion}`);
+        });
+}
+
+/**
+ * Returns the hotfix branch name
+ * 
+ * @param {string} [name] - The hotfix name
+ * @returns {string} hotfix/<name> or the hotfix branch if the name is not specified
+ */
+function getHotfixBranchName(name) {
+    const { branches } = getConfig();
+    return name ? `${branches.hotfix}/${name.trim()}` : branches.hotfix;
+}
+
+/**
+ * Checks if the branch is the hotfix branch or a named hotfix branch
+ * 
+ * @param {string} branch - The branch name
+ * @returns {boolean} True if the branch is a hotfix branch
+ */
+function isHotfixBranch(branch) {
+    const { branches } = getConfig();
+    return branch === branches.hotfix || branch.startsWith(`${branches.hotfix}/`);
+}
+
+/**
+ * Returns the next patch version after the base version which is neither released
+ * nor used by another hotfix in progress
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} baseVersion - The version of the fixed branch
+ * @param {string[]} hotfixBranches - Other hotfix branches in progress
+ * @param {boolean} isLernaProject - Whether the project is a Lerna monorepo
+ * @returns {Promise<string>} A promise that resolves with the hotfix version
+ */
+function getNextFreeHotfixVersion(git, baseVersion, hotfixBranches, isLernaProject) {
+    const { remote } = getConfig();
+
+    return getReleasedVersions(git)
+        .then(releasedVersions => Promise.all(hotfixBranches.map(branch =>
+            getVersionFromBranch(git, `${remote}/${branch}`, isLernaProject).catch(() => null)
+        )).then(hotfixVersions => {
+            const usedVersions = new Set([...releasedVersions, ...hotfixVersions.map(getVersionCore)]);
+            let version = getIncrementedPatchVersion(baseVersion);
+            while (usedVersions.has(version)) {
+                version = getIncrementedPatchVersion(version);
+            }
+            return version;
+        }));
+}
 
 /**
- * Finishes a release or hotfix branch workflow
+ * Lists versions of the release tags
  * 
  * @param {Object} git - The simple-git instance
- * @param {string} branchName - The name of release branch ('release' or 'hotfix')
+ * @returns {Promise<string[]>} A promise that resolves with the released versions
+ */
+function getReleasedVersions(git) {
+    return fetchTags(git)
+        .then(() => getReleaseTags(git))
+        .then(tags => tags.map(parseTag).filter(Boolean));
+}
+
+/**
+ * Checks that package.json has only stable dependencies if the project has no lock file
+ * 
+ * @returns {Promise<void>} A promise that resolves when the check is complete
+ */
+function checkPackageJsonVersions() {
+    if (findLockFile()) {
+        return Promise.resolve();
+    }
+    if (hasNotStableDependencies()) {
+        return Promise.reject(new WorkflowStateError("Not stable dependencies found. Please fix and try release again."));
+    }
+    return Promise.resolve();
+}
+
+/**
+ * Checks if there are any non-stable dependencies in package.json
+ * 
+ * @returns {boolean} True if there are non-stable dependencies
+ */
+function hasNotStableDependencies() {
+    const packageJsonFile = readManifest(path.resolve(getCwd(), "package.json")).data;
+    let dependencies = Object.assign({}, packageJsonFile.dependencies || {}, packageJsonFile.devDependencies || {}, packageJsonFile.peerDependencies || {});
+    let notStableDependencies;
+    for (let property in dependencies) {
+        const version = dependencies[property];
+        if ((!version.match(/^\d+\.\d+\.\d/) || version.includes("dev")) && (!version.match(/^git:|^git\+https:|^git\+http:|^git\+ssh:|^git\+file:/))) {
+            notStableDependencies = true;
+            logger.error("Not stable: " + property + ":" + version);
+        }
+    }
+    return notStableDependencies;
+}
+
+/**
+ * Finishes a release or hotfix branch workflow.
+ * Progress is recorded in a journal, so the workflow can be continued or aborted after a failure.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branchType - The type of release branch ('release' or 'hotfix')
  * @param {Set<string>} packagesToExcludeFromVersionValidation - Set of package names to exclude from version validation
+ * @param {boolean} [pin=false] - Whether to pin next and hotfix dist-tag dependencies to concrete versions before merging
  * @returns {Promise<void>} A promise that resolves when the branch workflow is complete
  */
-function finishReleaseBranch(git, branchName, packagesToExcludeFromVersionValidation = new Set()) {
-    const isLernaProject = fs.existsSync("./lerna.json");
+function finishReleaseBranch(git, branchType, packagesToExcludeFromVersionValidation = new Set(), pin = false) {
+    const isLernaProject = detectLernaProject();
+    const { branches } = getConfig();
+    let branchName = branches[branchType];
     let branchVersion;
-    let sourceBranch;
+    let targetBranch;
+    let backMerge;
 
     return checkUncommittedChanges(git)
-        .then(() => switchToBranchAndPull(git, branchName))
-        .then(() => validateDependencies('main', packagesToExcludeFromVersionValidation))
-        .then(() => {
-            // Get version in branch
-            return getVersionFromBranch(git, branchName, isLernaProject)
-                .then(version => {
-                    branchVersion = getVersionCore(version);
-                    if (!branchVersion) {
-                        handleError(new Error(`Invalid version format: ${version}`));
-                    }
-                    sourceBranch = branchName;
-                });
-        })    
-        .then(() => switchToBranchAndPull(git, 'main'))
-        .then(() => mergeFromBranch(git, sourceBranch))
-        .then(() => isLernaProject ? changeLernaProjectVersion(branchVersion, 'main') : changePackageJsonVersion(branchVersion))
-        .then(() => commit(git, branchVersion))
-        .then(() => createAndPushTag(git, branchVersion))
-        .then(() => push(git))
-        .then(() => switchToBranchAndPull(git, "develop"))
-        .then(() => mergeFromBranch(git, 'main'))
-        .then(() => getVersionFromBranch(git, 'main', isLernaProject))
+        .then(() => readJournal(git))
+        .then(journal => {
+            if (journal) {
+                throw new WorkflowStateError(`${getCommandName(journal.data.branchType)} is already in progress (interrupted at step '${journal.data.currentStep}'). ` +
+                    `Run '${getCommandName(journal.data.branchType)} --continue' to resume or '${getCommandName(journal.data.branchType)} --abort' to roll back.`);
+            }
+            return branchType === 'hotfix' ? findHotfixBranchToFinish(git) : branchName;
+        })
+        .then(branch => {
+            branchName = branch;
+            return switchToBranchAndPull(git, branchName);
+        })
+        .then(() => getVersionFromBranch(git, branchName, isLernaProject))
+        .then(version => {
+            branchVersion = getVersionCore(version);
+            if (!branchVersion) {
+                throw new InvalidVersionError(version);
+            }
+            return branchType === 'hotfix' ? getHotfixTargetBranch(git, branchVersion, isLernaProject) : branches.main;
+        })
+        .then(branch => {
+            targetBranch = branch;
+            return branchType === 'hotfix' ? getFreeHotfixVersion(git, branchName, branchVersion, targetBranch, isLernaProject) : branchVersion;
+        })
+        .then(version => {
+            branchVersion = version;
+            if (targetBranch !== branches.main) {
+                logger.log(`${branchName} ${branchVersion} belongs to ${targetBranch}, ${branches.main} and ${branches.develop} are not changed`);
+                return { branch: null, version: null };
+            }
+            return branchType === 'hotfix'
+                ? getHotfixBackMerge(git, branchVersion, isLernaProject)
+                : { branch: branches.develop, version: getIncrementedPatchVersion(branchVersion) };
+        })
+        .then(result => {
+            backMerge = result;
+        })
+        .then(() => pin ? pinBranchDependencies(git, branchName) : undefined)
+        // In dry run mode the branch is not checked out, so package.json files are read from it directly
+        .then(pinnedPackageJsons => isDryRun() ? pinnedPackageJsons || getProjectPackageJsonsFromBranch(git, branchName) : undefined)
+        .then(packageJson => validateDependencies(getTargetBranchType(targetBranch), packagesToExcludeFromVersionValidation, packageJson))
+        .then(() => getCommitHash(git, branchName))
+        .then(commitHash => createJournal(git, {
+            branchType,
+            branchName,
+            branchVersion,
+            targetBranch,
+            backMergeBranch: backMerge.branch,
+            backMergeVersion: backMerge.version,
+            isLernaProject,
+            excludedPackages: [...packagesToExcludeFromVersionValidation]
+        }).then(journal => {
+            journal.setOriginalCommit(branchName, commitHash);
+            return runSteps(git, journal);
+        }));
+}
+
+/**
+ * Pins dist-tag dependencies of the release or hotfix branch and commits them to the branch
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branchName - The release or hotfix branch
+ * @returns {Promise<Object[]>} A promise that resolves with the updated package.json contents
+ */
+function pinBranchDependencies(git, branchName) {
+    return pinDistTagDependencies(git, branchName).then(({ pinned, packageJsons }) => {
+        if (pinned.length === 0) {
+            logger.log(`${branchName} has no dist-tag dependencies to pin`);
+            return packageJsons;
+        }
+        return commitAndPush(git, branchName, `chore: pin dist-tag dependencies of ${branchName}`).then(() => packageJsons);
+    });
+}
+
+/**
+ * Determines the hotfix branch to finish: the current branch if it is a hotfix branch,
+ * otherwise the only hotfix branch in progress
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<string>} A promise that resolves with the hotfix branch name
+ */
+function findHotfixBranchToFinish(git) {
+    const { branches } = getConfig();
+
+    return getCurrentBranchName(git).then(currentBranch => {
+        if (isHotfixBranch(currentBranch)) {
+            return currentBranch;
+        }
+        return listRemoteBranches(git).then(remoteBranches => {
+            const hotfixBranches = remoteBranches.filter(isHotfixBranch);
+            if (hotfixBranches.length > 1) {
+                throw new InvalidBranchError(currentBranch, `Hotfixes ${hotfixBranches.join(', ')} are in progress. Check out the hotfix branch to finish.`);
+            }
+            return hotfixBranches.length === 1 ? hotfixBranches[0] : branches.hotfix;
+        });
+    });
+}
+
+/**
+ * Returns the hotfix version or, if it was already released or the target branch has reached it
+ * (e.g. another hotfix was finished first), the next free patch version after the target branch version
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} hotfixBranch - The hotfix branch
+ * @param {string} hotfixVersion - The version of the hotfix branch
+ * @param {string} targetBranch - The branch the hotfix is merged into
+ * @param {boolean} isLernaProject - Whether the project is a Lerna monorepo
+ * @returns {Promise<string>} A promise that resolves with the version to release
+ */
+function getFreeHotfixVersion(git, hotfixBranch, hotfixVersion, targetBranch, isLernaProject) {
+    const { remote } = getConfig();
+    let targetVersion;
+
+    return getVersionFromBranch(git, `${remote}/${targetBranch}`, isLernaProject)
         .then(version => {
-            const incVersion = getIncrementedPatchVersion(version);
-            if (!incVersion) {
-                handleError(new Error(`Invalid version format: ${version}`));
+            targetVersion = getVersionCore(version);
+            return getReleasedVersions(git);
+        })
+        .then(releasedVersions => {
+            const isTaken = version => releasedVersions.includes(version) || (targetVersion && semver.lte(version, targetVersion));
+            if (!isTaken(hotfixVersion)) {
+                return hotfixVersion;
+            }
+            let version = getIncrementedPatchVersion(targetVersion && semver.gt(targetVersion, hotfixVersion) ? targetVersion : hotfixVersion);
+            while (isTaken(version)) {
+                version = getIncrementedPatchVersion(version);
+            }
+            logger.log(`${hotfixBranch} version ${hotfixVersion} is already released or behind ${targetBranch}, the hotfix is released as ${version}`);
+            return version;
+        });
+}
+
+/**
+ * Determines the branch a hotfix is merged into: the support branch of the hotfix release line
+ * if the line differs from main and the support branch exists, main otherwise
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} hotfixVersion - The hotfix version
+ * @param {boolean} isLernaProject - Whether the project is a Lerna monorepo
+ * @returns {Promise<string>} A promise that resolves with the target branch name
+ */
+function getHotfixTargetBranch(git, hotfixVersion, isLernaProject) {
+    const { remote, branches } = getConfig();
+    const supportBranch = getTopicBranchName('support', `${semver.major(hotfixVersion)}.${semver.minor(hotfixVersion)}`);
+
+    return getVersionFromBranch(git, `${remote}/${branches.main}`, isLernaProject)
+        .then(mainVersion => {
+            const mainVersionCore = getVersionCore(mainVersion);
+            if (mainVersionCore && semver.major(mainVersionCore) === semver.major(hotfixVersion) && semver.minor(mainVersionCore) === semver.minor(hotfixVersion)) {
+                return branches.main;
+            }
+            return checkRemoteBranchExists(git, supportBranch).then(exists => exists ? supportBranch : branches.main);
+        });
+}
+
+/**
+ * Determines the branch main is merged back into after a hotfix: the release branch if a release is in progress,
+ * develop otherwise. The release branch keeps its version unless it is not greater than the hotfix version.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} hotfixVersion - The hotfix version
+ * @param {boolean} isLernaProject - Whether the project is a Lerna monorepo
+ * @returns {Promise<{branch: string, version: string}>} A promise that resolves with the branch and its version after the merge
+ */
+function getHotfixBackMerge(git, hotfixVersion, isLernaProject) {
+    const { remote, branches } = getConfig();
+
+    return checkRemoteBranchExists(git, branches.release).then(releaseInProgress => {
+        if (!releaseInProgress) {
+            return { branch: branches.develop, version: getIncrementedPatchVersion(hotfixVersion) };
+        }
+        return getVersionFromBranch(git, `${remote}/${branches.release}`, isLernaProject).then(releaseVersion => {
+            const releaseVersionCore = getVersionCore(releaseVersion);
+            const version = releaseVersionCore && semver.gt(releaseVersionCore, hotfixVersion)
+                ? releaseVersionCore
+                : getIncrementedPatchVersion(hotfixVersion);
+            logger.log(`A release is in progress, the hotfix is merged into ${branches.release} instead of ${branches.develop}`);
+            if (version !== releaseVersionCore) {
+                logger.log(`${branches.release} version ${releaseVersion} is not greater than the hotfix version, it is changed to ${version}`);
+            }
+            return { branch: branches.release, version };
+        });
+    });
+}
+
+/**
+ * Returns the branch type for dependency validation and step names of the target branch
+ * 
+ * @param {string} targetBranch - The branch the release or hotfix is merged into
+ * @returns {string} 'main' or 'support'
+ */
+function getTargetBranchType(targetBranch) {
+    return targetBranch === getConfig().branches.main ? 'main' : 'support';
+}
+
+/**
+ * Continues an interrupted release or hotfix finish workflow from the failed step
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branchType - The type of release branch ('release' or 'hotfix')
+ * @returns {Promise<void>} A promise that resolves when the branch workflow is complete
+ */
+function continueReleaseBranch(git, branchType) {
+    return readInterruptedJournal(git, branchType)
+        .then(journal => checkUncommittedChanges(git).then(() => journal))
+        .then(journal => {
+            const pendingSteps = getPendingSteps(journal);
+            // The process may stop after the last step before the journal is removed
+            if (pendingSteps.length === 0) {
+                logger.log(`All steps of ${getCommandName(branchType)} of version ${journal.data.branchVersion} are already completed`);
+            } else {
+                logger.log(`Continuing ${getCommandName(branchType)} of version ${journal.data.branchVersion} from step '${pendingSteps[0].name}'`);
+            }
+            return runSteps(git, journal);
+        });
+}
+
+/**
+ * Aborts an interrupted release or hotfix finish workflow.
+ * Local changes are rolled back, changes already pushed to remote are reported for manual reverting.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branchType - The type of release branch ('release' or 'hotfix')
+ * @returns {Promise<void>} A promise that resolves when the rollback is complete
+ */
+function abortReleaseBranch(git, branchType) {
+    const { remote, branches } = getConfig();
+
+    return readInterruptedJournal(git, branchType).then(journal => {
+        const { branchName, branchVersion, originalCommits, targetBranch = branches.main } = journal.data;
+        const targetType = getTargetBranchType(targetBranch);
+        const backMergeBranch = getBackMergeBranch(journal);
+        const tag = formatTag(branchVersion);
+        const manualActions = [];
+        let rollback = Promise.resolve();
+
+        if (journal.isCompleted('push-tag')) {
+            manualActions.push(`Tag ${tag} was pushed to ${remote}. Delete it with 'git push ${remote} --delete ${tag}' if the release should not be published.`);
+        } else if (journal.isCompleted('create-tag')) {
+            rollback = rollback.then(() => deleteLocalTag(git, branchVersion));
+        }
+
+        [[targetBranch, `push-${targetType}`], [backMergeBranch, `push-${getBackMergeType(backMergeBranch)}`]].forEach(([branch, pushStep]) => {
+            if (!branch) {
+                return;
+            }
+            if (journal.isCompleted(pushStep)) {
+                manualActions.push(`${branch} was pushed to ${remote}. Revert the commits after ${originalCommits[branch]} in ${remote}/${branch} manually.`);
+            } else if (originalCommits[branch]) {
+                rollback = rollback.then(() => resetBranch(git, branch, originalCommits[branch]));
             }
-            return isLernaProject ? changeLernaProjectVersion(incVersion, "develop") : changePackageJsonVersion(incVersion);
+        });
+
+        if (journal.isCompleted('delete-branch')) {
+            manualActions.push(`${branchName} was deleted. Restore it with 'git push ${remote} ${originalCommits[branchName]}:refs/heads/${branchName}'.`);
+        } else {
+            rollback = rollback.then(() => checkout(git, branchName));
+        }
+
+        return rollback.then(() => {
+            journal.remove();
+            logger.log(`${getCommandName(branchType)} of version ${branchVersion} was aborted, local changes were rolled back.`);
+            if (manualActions.length > 0) {
+                logger.log("The following remote changes must be reverted manually:");
+                manualActions.forEach(action => logger.log(`- ${action}`));
+            }
+        });
+    });
+}
+
+/**
+ * Builds the ordered list of workflow steps after the release branch is validated.
+ * Remote steps change the remote repository and cannot be rolled back automatically.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {ReleaseJournal} journal - The workflow journal
+ * @returns {Array<{name: string, branch: string, remote: boolean, run: Function}>} The workflow steps
+ */
+function getSteps(git, journal) {
+    const { branches } = getConfig();
+    const { branchName, branchVersion, isLernaProject, targetBranch = branches.main } = journal.data;
+    const targetType = getTargetBranchType(targetBranch);
+    const backMergeBranch = getBackMergeBranch(journal);
+    const backMergeType = getBackMergeType(backMergeBranch);
+    // Main (or support) version is set to the branch version, develop gets the next patch version,
+    // an in-progress release branch keeps its version
+    const backMergeVersion = journal.data.backMergeVersion || getIncrementedPatchVersion(branchVersion);
+    const changeVersion = (version, branch) => isLernaProject ? changeLernaProjectVersion(version, branch) : changePackageJsonVersion(version);
+    const checkoutAndRemember = branch => switchToBranchAndPull(git, branch)
+        .then(() => isDryRun() ? undefined : getCommitHash(git).then(commitHash => journal.setOriginalCommit(branch, commitHash)));
+
+    const targetSteps = [
+        { name: `checkout-${targetType}`, branch: null, remote: false, run: () => checkoutAndRemember(targetBranch) },
+        { name: `merge-to-${targetType}`, branch: targetBranch, remote: false, run: () => mergeFromBranch(git, branchName, branchVersion) },
+        { name: `set-${targetType}-version`, branch: targetBranch, remote: false, run: () => changeVersion(branchVersion, targetBranch) },
+        { name: 'update-changelog', branch: targetBranch, remote: false, run: () => updateChangelog(git, branchVersion, branchName) },
+        { name: `commit-${targetType}`, branch: targetBranch, remote: false, run: () => commit(git, `chore: release: ${branchVersion}`) },
+        { name: 'create-tag', branch: targetBranch, remote: false, run: () => createTag(git, branchVersion) },
+        { name: 'push-tag', branch: targetBranch, remote: true, run: () => pushTag(git, branchVersion) },
+        { name: `push-${targetType}`, branch: targetBranch, remote: true, run: () => pushNewBranch(git, targetBranch) }
+    ];
+    // Fixes of older release lines are not merged back
+    const backMergeSteps = !backMergeBranch ? [] : [
+        { name: `checkout-${backMergeType}`, branch: null, remote: false, run: () => checkoutAndRemember(backMergeBranch) },
+        { name: `merge-to-${backMergeType}`, branch: backMergeBranch, remote: false, run: () => mergeFromBranch(git, branches.main, backMergeVersion) },
+        { name: `set-${backMergeType}-version`, branch: backMergeBranch, remote: false, run: () => changeVersion(backMergeVersion, backMergeBranch) },
+        { name: `commit-${backMergeType}`, branch: backMergeBranch, remote: false, run: () => commit(git, `chore: merge ${branchName} ${branchVersion} to ${backMergeBranch}`) },
+        { name: `push-${backMergeType}`, branch: backMergeBranch, remote: true, run: () => pushNewBranch(git, backMergeBranch) }
+    ];
+
+    return [
+        ...targetSteps,
+        ...backMergeSteps,
+        { name: 'delete-branch', branch: null, remote: true, run: () => deleteBranch(git, branchName) }
+    ];
+}
+
+/**
+ * Returns the branch main is merged back into: develop, the in-progress release branch for hotfixes
+ * or null for hotfixes of support branches
+ * 
+ * @param {ReleaseJournal} journal - The workflow journal
+ * @returns {string|null} The branch name
+ */
+function getBackMergeBranch(journal) {
+    const { branches } = getConfig();
+    const { targetBranch = branches.main, backMergeBranch } = journal.data;
+    if (backMergeBranch !== undefined) {
+        return backMergeBranch;
+    }
+    return getTargetBranchType(targetBranch) === 'support' ? null : branches.develop;
+}
+
+/**
+ * Returns the branch type for step names of the back merge branch
+ * 
+ * @param {string|null} backMergeBranch - The branch main is merged back into
+ * @returns {string} 'release' or 'develop'
+ */
+function getBackMergeType(backMergeBranch) {
+    return backMergeBranch === getConfig().branches.release ? 'release' : 'develop';
+}
+
+/**
+ * Returns workflow steps which have not been completed yet
+ * 
+ * @param {ReleaseJournal} journal - The workflow journal
+ * @returns {Array} The pending steps in order of execution
+ */
+function getPendingSteps(journal) {
+    return getSteps(null, journal).filter(step => !journal.isCompleted(step.name));
+}
+
+/**
+ * Runs pending workflow steps one by one recording the progress in the journal.
+ * When resuming, the branch of the first pending step is checked out.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {ReleaseJournal} journal - The workflow journal
+ * @returns {Promise<void>} A promise that resolves when all steps are complete
+ */
+function runSteps(git, journal) {
+    const steps = getSteps(git, journal).filter(step => !journal.isCompleted(step.name));
+    const resumed = journal.data.completedSteps.length > 0;
+    let chain = Promise.resolve();
+
+    if (resumed && steps.length > 0 && steps[0].branch) {
+        chain = chain.then(() => checkout(git, steps[0].branch));
+    }
+
+    steps.forEach(step => {
+        chain = chain
+            .then(() => journal.startStep(step.name))
+            .then(() => step.run())
+            .then(() => journal.completeStep(step.name));
+    });
+
+    return chain
+        .then(() => {
+            journal.remove();
+            const { branchName, branchVersion, targetBranch = getConfig().branches.main } = journal.data;
+            const mergedInto = [`${targetBranch} (tagged ${formatTag(branchVersion)})`, getBackMergeBranch(journal)].filter(Boolean);
+            logger.log(`${branchName} ${branchVersion} ${isDryRun() ? 'is going to be' : 'was'} merged into: ${mergedInto.join(', ')}`);
         })
-        .then(() => commitAndPush(git, 'develop', `chore: merge ${branchName} ${branchVersion} to develop`))
-        .then(() => deleteBranch(git, sourceBranch));
+        .catch(err => {
+            if (isDryRun() || !journal.data.currentStep) {
+                throw err;
+            }
+            throw new WorkflowInterruptedError(getCommandName(journal.data.branchType), journal.data.currentStep, err);
+        });
+}
+
+/**
+ * Reads the journal of an interrupted workflow and checks it belongs to the branch type
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branchType - The type of release branch ('release' or 'hotfix')
+ * @returns {Promise<ReleaseJournal>} A promise that resolves with the journal
+ */
+function readInterruptedJournal(git, branchType) {
+    return readJournal(git).then(journal => {
+        if (!journal) {
+            throw new WorkflowStateError(`There is no interrupted ${getCommandName(branchType)} to continue or abort.`);
+        }
+        if (journal.data.branchType !== branchType) {
+            throw new WorkflowStateError(`The interrupted workflow belongs to ${getCommandName(journal.data.branchType)}, please run it instead.`);
+        }
+        return journal;
+    });
+}
+
+/**
+ * Returns the command name for the branch type
+ * 
+ * @param {string} branchType - The type of release branch ('release' or 'hotfix')
+ * @returns {string} The command name
+ */
+function getCommandName(branchType) {
+    return `${branchType}-finish`;
+}
+
+/**
+ * Checks out the branch without pulling
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The branch to check out
+ * @returns {Promise<void>} A promise that resolves when the branch is checked out
+ */
+function checkout(git, branch) {
+    if (isDryRun()) {
+        return recordAction(`git checkout ${branch}`);
+    }
+    return new Promise((resolve, reject) => {
+        git.checkout(branch)
+            .then(() => resolve())
+            .catch(reject);
+    });
 }
 
 /**
- * Commits changes with a release message
+ * Commits all changes
  * 
  * @param {Object} git - The simple-git instance
- * @param {string} version - The version to include in the commit message
+ * @param {string} message - The commit message
  * @returns {Promise<void>} A promise that resolves when the commit is complete
  */
-function commit(git, version) {
-    return new Promise((resolve) => {
-        git.commit(`chore: release: ${version}`, ['--all', '--no-edit'])
+function commit(git, message) {
+    const commitOptions = ['--all', '--no-edit', ...getCommitSignOptions()];
+    if (isDryRun()) {
+        return recordAction(`git commit ${commitOptions.join(' ')} -m "${message}"`);
+    }
+    return new Promise((resolve, reject) => {
+        git.commit(message, commitOptions)
             .then(() => {
-                console.log("Commit!");
+                logger.log("Commit!");
                 resolve();
             })
-            .catch(handleError);
+            .catch(reject);
     });
 }
 
 module.exports = {
-    finishReleaseBranch
+    startReleaseBranch,
+    startSupportBranch,
+    startHotfixBranch,
+    finishReleaseBranch,
+    continueReleaseBranch,
+    abortReleaseBranch,
+    isHotfixBranch
 }; 
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getGitDir } = require('./git-utils');
+const { isDryRun } = require('./dry-run');
+
+const JOURNAL_FILE_NAME = 'gitflow-release-journal.json';
+
+/**
+ * Journal of a release or hotfix finish workflow stored in the .git directory.
+ * Records the workflow parameters, commits the branches pointed to before modification
+ * and the steps completed so far, so the workflow can be continued or aborted after a failure.
+ */
+class ReleaseJournal {
+    /**
+     * @param {string} journalPath - Path to the journal file
+     * @param {Object} data - Journal content
+     */
+    constructor(journalPath, data) {
+        this.journalPath = journalPath;
+        this.data = data;
+    }
+
+    /**
+     * Checks if the step has been completed
+     *
+     * @param {string} step - The step name
+     * @returns {boolean} True if the step has been completed
+     */
+    isCompleted(step) {
+        return this.data.completedSteps.includes(step);
+    }
+
+    /**
+     * Marks the step as started and saves the journal
+     *
+     * @param {string} step - The step name
+     */
+    startStep(step) {
+        this.data.currentStep = step;
+        this.save();
+    }
+
+    /**
+     * Marks the current step as completed and saves the journal
+     *
+     * @param {string} step - The step name
+     */
+    completeStep(step) {
+        this.data.completedSteps.push(step);
+        this.data.currentStep = null;
+        this.save();
+    }
+
+    /**
+     * Remembers the commit a branch pointed to before the workflow changed it
+     *
+     * @param {string} branch - The branch name
+     * @param {string} commitHash - The commit hash
+     */
+    setOriginalCommit(branch, commitHash) {
+        this.data.originalCommits[branch] = commitHash;
+        this.save();
+    }
+
+    /**
+     * Writes the journal to disk. Does nothing in dry run mode.
+     */
+    save() {
+        if (isDryRun()) {
+            return;
+        }
+        fs.writeFileSync(this.journalPath, JSON.stringify(this.data, null, 2));
+    }
+
+    /**
+     * Removes the journal from disk. Does nothing in dry run mode.
+     */
+    remove() {
+        if (isDryRun() || !fs.existsSync(this.journalPath)) {
+            return;
+        }
+        fs.unlinkSync(this.journalPath);
+    }
+}
+
+/**
+ * Resolves the journal file path in the .git directory
+ *
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<string>} A promise that resolves with the journal file path
+ */
+function getJournalPath(git) {
+    return getGitDir(git).then(gitDir => path.join(gitDir, JOURNAL_FILE_NAME));
+}
+
+/**
+ * Reads the journal of an interrupted workflow
+ *
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<ReleaseJournal|null>} A promise that resolves with the journal or null if there is none
+ */
+function readJournal(git) {
+    return getJournalPath(git).then(journalPath => {
+        if (!fs.existsSync(journalPath)) {
+            return null;
+        }
+        return new ReleaseJournal(journalPath, JSON.parse(fs.readFileSync(journalPath, 'utf8')));
+    });
+}
+
+/**
+ * Creates and saves a journal for a new workflow
+ *
+ * @param {Object} git - The simple-git instance
+ * @param {Object} params - Workflow parameters (branchType, branchName, branchVersion, targetBranch, backMergeBranch, backMergeVersion, excludedPackages)
+ * @returns {Promise<ReleaseJournal>} A promise that resolves with the created journal
+ */
+function createJournal(git, params) {
+    return getJournalPath(git).then(journalPath => {
+        const journal = new ReleaseJournal(journalPath, Object.assign({}, params, {
+            originalCommits: {},
+            completedSteps: [],
+            currentStep: null
+        }));
+        journal.save();
+        return journal;
+    });
+}
+
+module.exports = {
+    ReleaseJournal,
+    readJournal,
+    createJournal
+};
@@ -0,0 +1,102 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { getConfig } = require('./config');
+const { SigningError } = require('./errors');
+
+let signingOverride;
+
+/**
+ * Enables or disables signing of commits and tags for the running workflow.
+ * The "sign" configuration option is used if not specified.
+ *
+ * @param {boolean} [enabled] - Whether commits and tags must be signed
+ */
+function setSigning(enabled) {
+    signingOverride = enabled === undefined ? undefined : Boolean(enabled);
+}
+
+/**
+ * Checks if commits and tags created by the workflow must be signed
+ *
+ * @returns {boolean} True if signing is enabled by the workflow option or the configuration
+ */
+function isSigningEnabled() {
+    return signingOverride !== undefined ? signingOverride : getConfig().sign;
+}
+
+/**
+ * Returns git commit and merge options signing the commit if signing is enabled
+ *
+ * @returns {string[]} ['-S'] or an empty list
+ */
+function getCommitSignOptions() {
+    return isSigningEnabled() ? ['-S'] : [];
+}
+
+/**
+ * Checks that git has a signing key if signing is enabled.
+ * The key is set by 'user.signingkey', SSH signing may use 'gpg.ssh.defaultKeyCommand' instead.
+ *
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<void>} A promise that resolves if signing is disabled or a key is configured, rejects with SigningError otherwise
+ */
+function checkSigningKey(git) {
+    if (!isSigningEnabled()) {
+        return Promise.resolve();
+    }
+    return Promise.all([
+        git.getConfig('user.signingkey'),
+        git.getConfig('gpg.format'),
+        git.getConfig('gpg.ssh.defaultKeyCommand')
+    ]).then(([signingKey, format, defaultKeyCommand]) => {
+        const isSsh = format.value === 'ssh';
+        if (signingKey.value || (isSsh && defaultKeyCommand.value)) {
+            return;
+        }
+        throw new SigningError('Signing of commits and tags is enabled, but git has no signing key configured. ' +
+            (isSsh
+                ? "Set the public SSH key with 'git config user.signingkey ~/.ssh/id_ed25519.pub'"
+                : "Set the GPG key with 'git config user.signingkey <key id>' (see 'gpg --list-secret-keys --keyid-format=long'), " +
+                    "or use an SSH key with 'git config gpg.format ssh' and 'git config user.signingkey ~/.ssh/id_ed25519.pub'") +
+            ', or disable signing.');
+    });
+}
+
+/**
+ * Verifies the signature of the tag if signing is enabled
+ *
+ * @param {Object} git - The simple-git instance
+ * @param {string} tag - The tag name
+ * @returns {Promise<void>} A promise that resolves if the signature is valid, rejects with SigningError otherwise
+ */
+function verifyTagSignature(git, tag) {
+    if (!isSigningEnabled()) {
+        return Promise.resolve();
+    }
+    return git.raw(['tag', '-v', tag]).catch(err => {
+        throw new SigningError(`Signature of tag ${tag} cannot be verified, the tag is not pushed. ` +
+            `SSH signatures require 'gpg.ssh.allowedSignersFile' to list the signing key.\n${err.message}`);
+    });
+}
+
+module.exports = {
+    setSigning,
+    isSigningEnabled,
+    getCommitSignOptions,
+    checkSigningKey,
+    verifyTagSignature
+};
@@ -0,0 +1,220 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { getConfig } = require('./config');
+const {
+    getCurrentBranchName,
+    getVersionFromBranch,
+    checkRemoteBranchExists,
+    listRemoteBranches,
+    getAheadBehindCounts
+} = require('./git-utils');
+const { isHotfixBranch } = require('./release-branch-scripts');
+const { readJournal } = require('./release-journal');
+const { detectLernaProject } = require('./npm-utils');
+const { validateDependencies } = require('./validate-dependencies');
+const { DependencyValidationError } = require('./errors');
+
+const TOPIC_BRANCH_TYPES = ['feature', 'bugfix'];
+
+/**
+ * Collects the flow state of the repository without changing it.
+ * Versions and ahead/behind counts are read from remote-tracking branches as of the last fetch.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @returns {Promise<Object>} A promise that resolves with the status:
+ * currentBranch ({name, type}), versions ({main, develop, release}), releaseInProgress,
+ * hotfixes ([{branch, version}]), hotfixInProgress, topicBranches ([{branch, type, ahead, behind}]),
+ * interruptedWorkflow ({command, step} or null) and dependencies ({branchType, findings})
+ */
+function getFlowStatus(git) {
+    const { branches } = getConfig();
+    const isLernaProject = detectLernaProject();
+    const status = {};
+    let remoteBranches;
+
+    return getCurrentBranchName(git)
+        .then(currentBranch => {
+            status.currentBranch = { name: currentBranch, type: getBranchType(currentBranch) };
+            return listRemoteBranches(git);
+        })
+        .then(result => {
+            remoteBranches = result;
+            return checkRemoteBranchExists(git, branches.release);
+        })
+        .then(releaseInProgress => {
+            status.releaseInProgress = releaseInProgress;
+            return Promise.all([
+                getRemoteVersion(git, branches.main, isLernaProject),
+                getRemoteVersion(git, branches.develop, isLernaProject),
+                releaseInProgress ? getRemoteVersion(git, branches.release, isLernaProject) : null
+            ]);
+        })
+        .then(([main, develop, release]) => {
+            status.versions = { main, develop, release };
+            const hotfixBranches = remoteBranches.filter(isHotfixBranch);
+            return Promise.all(hotfixBranches.map(branch => getRemoteVersion(git, branch, isLernaProject).then(version => ({ branch, version }))));
+        })
+        .then(hotfixes => {
+            status.hotfixes = hotfixes;
+            status.hotfixInProgress = hotfixes.length > 0;
+            return getTopicBranches(git, remoteBranches);
+        })
+        .then(topicBranches => {
+            status.topicBranches = topicBranches;
+            return readJournal(git);
+        })
+        .then(journal => {
+            status.interruptedWorkflow = journal
+                ? { command: `${journal.data.branchType}-finish`, step: journal.data.currentStep }
+                : null;
+            return getRejectedDependencies(status.currentBranch.type);
+        })
+        .then(dependencies => {
+            status.dependencies = dependencies;
+            return status;
+        });
+}
+
+/**
+ * Returns the flow type of the branch
+ * 
+ * @param {string} branch - The branch name
+ * @returns {string|null} 'main', 'develop', 'release', 'hotfix', 'support', 'feature', 'bugfix' or null for other branches
+ */
+function getBranchType(branch) {
+    const { branches, prefixes } = getConfig();
+    const baseTypes = ['main', 'develop', 'release'].filter(type => branches[type] === branch);
+    if (baseTypes.length > 0) {
+        return baseTypes[0];
+    }
+    if (isHotfixBranch(branch)) {
+        return 'hotfix';
+    }
+    return ['support', ...TOPIC_BRANCH_TYPES].find(type => branch.startsWith(prefixes[type])) || null;
+}
+
+/**
+ * Reads the version of the remote-tracking branch
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The branch name
+ * @param {boolean} isLernaProject - Whether the project is a Lerna monorepo
+ * @returns {Promise<string|null>} A promise that resolves with the version or null if it cannot be read
+ */
+function getRemoteVersion(git, branch, isLernaProject) {
+    return getVersionFromBranch(git, `${getConfig().remote}/${branch}`, isLernaProject).catch(() => null);
+}
+
+/**
+ * Lists remote feature and bugfix branches with commit counts against develop
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string[]} remoteBranches - Branches of the remote repository
+ * @returns {Promise<Array<{branch: string, type: string, ahead: number|null, behind: number|null}>>} A promise that resolves with the topic branches
+ */
+function getTopicBranches(git, remoteBranches) {
+    const { remote, branches } = getConfig();
+    const topicBranches = remoteBranches
+        .map(branch => ({ branch, type: getBranchType(branch) }))
+        .filter(({ type }) => TOPIC_BRANCH_TYPES.includes(type));
+
+    return Promise.all(topicBranches.map(({ branch, type }) =>
+        getAheadBehindCounts(git, `${remote}/${branch}`, `${remote}/${branches.develop}`)
+            .catch(() => ({ ahead: null, behind: null }))
+            .then(({ ahead, behind }) => ({ branch, type, ahead, behind }))
+    ));
+}
+
+/**
+ * Lists dependencies of the working directory that validateDependencies rejects for the branch type
+ * 
+ * @param {string|null} branchType - The type of the current branch
+ * @returns {Promise<{branchType: string, findings: Array}|null>} A promise that resolves with the findings
+ * or null if the branch is not a flow branch
+ */
+function getRejectedDependencies(branchType) {
+    if (!branchType) {
+        return Promise.resolve(null);
+    }
+    return validateDependencies(branchType)
+        .then(() => ({ branchType, findings: [] }))
+        .catch(err => {
+            if (err instanceof DependencyValidationError) {
+                return { branchType, findings: err.findings };
+            }
+            throw err;
+        });
+}
+
+/**
+ * Formats the status for the terminal
+ * 
+ * @param {Object} status - The status returned by getFlowStatus
+ * @returns {string} The human readable status
+ */
+function formatFlowStatus(status) {
+    const { branches } = getConfig();
+    const formatVersion = version => version || 'unknown';
+    const lines = [
+        `Current branch: ${status.currentBranch.name}${status.currentBranch.type ? ` (${status.currentBranch.type})` : ''}`,
+        '',
+        'Versions:',
+        `  ${branches.main}: ${formatVersion(status.versions.main)}`,
+        `  ${branches.develop}: ${formatVersion(status.versions.develop)}`,
+        status.releaseInProgress
+            ? `  ${branches.release}: ${formatVersion(status.versions.release)} (release in progress)`
+            : `  ${branches.release}: no release in progress`
+    ];
+
+    if (status.hotfixInProgress) {
+        status.hotfixes.forEach(({ branch, version }) => lines.push(`  ${branch}: ${formatVersion(version)} (hotfix in progress)`));
+    } else {
+        lines.push(`  ${branches.hotfix}: no hotfix in progress`);
+    }
+
+    lines.push('', `Topic branches (against ${branches.develop}):`);
+    if (status.topicBranches.length === 0) {
+        lines.push('  none');
+    }
+    status.topicBranches.forEach(({ branch, ahead, behind }) => {
+        lines.push(ahead === null ? `  ${branch}: not fetched` : `  ${branch}: ${ahead} ahead, ${behind} behind`);
+    });
+
+    if (status.interruptedWorkflow) {
+        const { command, step } = status.interruptedWorkflow;
+        lines.push('', `Interrupted ${command} at step '${step}'. Run '${command} --continue' to resume or '${command} --abort' to roll back.`);
+    }
+
+    if (status.dependencies) {
+        const { branchType, findings } = status.dependencies;
+        lines.push('');
+        if (findings.length === 0) {
+            lines.push(`Dependencies: all allowed for ${branchType} branches`);
+        } else {
+            lines.push(`Dependencies rejected for ${branchType} branches:`);
+            findings.forEach(finding => lines.push(`  - ${finding.name}@${finding.version} (${finding.section})`));
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    getFlowStatus,
+    getBranchType,
+    formatFlowStatus
+};
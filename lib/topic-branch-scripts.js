@@ -14,28 +14,48 @@
  * limitations under the License.
  */
 
-const fs = require("fs");
 const { 
     checkUncommittedChanges, 
     commitAndPush,
     getCurrentBranchName, 
     getVersionFromBranch,
     switchToBranchAndPull,
-    pushNewBranch,
     deleteBranch,
+    deleteLocalBranch,
+    pushNewBranch,
     createBranch,
     updateBranchWithDevelop,
     mergeToDevelop,
-    handleError 
+    fetchBranches,
+    checkRemoteBranchIncluded,
+    rebaseOnDevelop,
+    fastForwardToBranch,
+    checkRemoteBranchExists
 } = require('./git-utils');
 const { 
+    detectLernaProject,
     changePackageJsonVersion, 
     changeLernaProjectVersion, 
-    updateDistTagsDependencies 
+    updateDistTagsDependencies,
+    getTopicPrereleaseVersion,
+    sanitizePrereleaseIdentifier
 } = require('./npm-utils');
+const { cleanupDistTags } = require('./publish');
+const { createApiClient, findPullRequest, createPullRequest } = require('./pull-requests');
+const { isDryRun } = require('./dry-run');
+const { getConfig, getTopicBranchName } = require('./config');
+const { logger } = require('./context');
+const { InvalidArgumentError, InvalidBranchError, InvalidVersionError, BranchExistsError } = require('./errors');
+
+/**
+ * Strategies of bringing a topic branch into develop: merge commit, squash commit,
+ * rebase onto develop and fast-forward, or fast-forward only
+ */
+const FINISH_STRATEGIES = ['merge', 'squash', 'rebase', 'ff-only'];
 
 /**
- * Creates a new branch of specified type from develop
+ * Creates a new branch of specified type from develop and sets the prerelease version
+ * <core>-<type>-<name>.0, so builds of the branch do not publish the develop version
  * 
  * @param {Object} git - The simple-git instance
  * @param {string} branchType - The type of branch (feature, bugfix, etc.)
@@ -44,15 +64,35 @@ const {
  */
 function startTopicBranch(git, branchType, branchName) {
     if (!branchName || typeof branchName === "boolean") {
-        console.log(`${branchType} name must not be empty!`);
-        process.exit(0);
+        return Promise.reject(new InvalidArgumentError(`${branchType} name must not be empty!`));
     }
 
+    const isLernaProject = detectLernaProject();
+    const { branches } = getConfig();
+    const fullBranchName = getTopicBranchName(branchType, branchName);
+    let topicVersion;
+
     return checkUncommittedChanges(git)
-        .then(() => switchToBranchAndPull(git, 'develop'))
-        .then(() => createBranch(git, branchType, branchName))    
-        .then(() => pushNewBranch(git, `${branchType}/${branchName}`))
-        .then(() => printStartSummary(branchName, branchType));
+        .then(() => checkRemoteBranchExists(git, fullBranchName))
+        .then(exists => {
+            if (exists) {
+                throw new BranchExistsError(fullBranchName);
+            }
+            return switchToBranchAndPull(git, branches.develop);
+        })
+        .then(() => getVersionFromBranch(git, branches.develop, isLernaProject))
+        .then(version => {
+            topicVersion = getTopicPrereleaseVersion(version, branchType, branchName);
+            if (!topicVersion) {
+                throw new InvalidVersionError(version);
+            }
+            return createBranch(git, branchType, branchName);
+        })
+        .then(() => isLernaProject
+            ? changeLernaProjectVersion(topicVersion, fullBranchName)
+            : changePackageJsonVersion(topicVersion))
+        .then(() => commitAndPush(git, fullBranchName, `chore: ${branchType} started, ${branchType} version ${topicVersion}`))
+        .then(() => printStartSummary(branchName, branchType, topicVersion));
 }
 
 /**
@@ -60,53 +100,266 @@ function startTopicBranch(git, branchType, branchName) {
  * 
  * @param {string} branchName - The name for the branch
  * @param {string} branchType - The type of branch (feature, bugfix, etc.)
+ * @param {string} version - The prerelease version of the branch
  */
-function printStartSummary(branchName, branchType) {
-    console.log("Summary of actions: ");
-    console.log(`A new branch ${branchType}/${branchName} was created, based on 'develop'`);
-    console.log(`You are now on branch ${branchType}/${branchName}`);
+function printStartSummary(branchName, branchType, version) {
+    const fullBranchName = getTopicBranchName(branchType, branchName);
+    logger.log("Summary of actions: ");
+    logger.log(`A new branch ${fullBranchName} was created, based on '${getConfig().branches.develop}'`);
+    logger.log(`The ${branchType} version is ${version}`);
+    logger.log(`You are now on branch ${fullBranchName}`);
 }
 
 /**
- * Finishes a branch workflow by merging into develop and cleaning up
+ * Finishes a branch workflow by merging into develop, restoring the develop version and cleaning up.
+ * The rebase and ff-only strategies fast-forward develop to the branch, the version is restored in a separate commit then.
  * 
  * @param {Object} git - The simple-git instance
  * @param {string} branchType - The type of branch (feature, bugfix, etc.)
- * @param {boolean} [squash=false] - Whether to squash the commits during merge
- * @param {string} [commitMessage] - Custom commit message when squashing
+ * @param {string|boolean} [strategy='merge'] - The finish strategy (merge, squash, rebase, ff-only), true stands for squash
+ * @param {string} [commitMessage] - Custom commit message, required when squashing
+ * @param {boolean} [removeDistTags=false] - Whether to remove the dist-tag of the branch from the registry
  * @returns {Promise<void>} A promise that resolves when the branch workflow is complete
  */
-function finishTopicBranch(git, branchType, squash = false, commitMessage) {
-    if (squash && !commitMessage) {
-        console.error("Error: message is required when using squash option");
-        process.exit(1);
+function finishTopicBranch(git, branchType, strategy = 'merge', commitMessage, removeDistTags = false) {
+    const finishStrategy = getFinishStrategy(strategy);
+    if (!FINISH_STRATEGIES.includes(finishStrategy)) {
+        return Promise.reject(new InvalidArgumentError(`Unknown finish strategy '${finishStrategy}', supported strategies are: ${FINISH_STRATEGIES.join(', ')}`));
+    }
+    if (finishStrategy === 'squash' && !commitMessage) {
+        return Promise.reject(new InvalidArgumentError("message is required when using squash option"));
+    }
+    if (finishStrategy === 'rebase' || finishStrategy === 'ff-only') {
+        return fastForwardTopicBranch(git, branchType, finishStrategy === 'rebase', commitMessage, removeDistTags);
     }
 
-    const isLernaProject = fs.existsSync("./lerna.json");
+    const squash = finishStrategy === 'squash';
+    const isLernaProject = detectLernaProject();
+    const { branches } = getConfig();
     let currentBranch;
+    let developVersion;
 
     return checkUncommittedChanges(git)
-        .then(() => getCurrentBranchName(git))
+        .then(() => getTopicBranch(git, branchType))
         .then(branch => {
-            if (branch.search(branchType) === -1) {
-                handleError(`You are trying to finish not ${branchType} branch: ${branch}`);
-            }
             currentBranch = branch;
             return updateBranchWithDevelop(git);
         })
-        .then(() => switchToBranchAndPull(git, 'develop'))
-        .then(() => mergeToDevelop(git, currentBranch, squash))
-        .then(() => getVersionFromBranch(git, 'develop', isLernaProject))
-        .then((version) => isLernaProject ? changeLernaProjectVersion(version) : changePackageJsonVersion(version))
-        .then(() => updateDistTagsDependencies(isLernaProject, version => (version.startsWith('feature') || version.startsWith('bugfix')), 'dev'))
+        .then(() => switchToBranchAndPull(git, branches.develop))
+        .then(() => getVersionFromBranch(git, branches.develop, isLernaProject))
+        .then(version => {
+            developVersion = version;
+            return mergeToDevelop(git, currentBranch, squash);
+        })
+        // The merge brings the prerelease version of the branch
+        .then(() => isLernaProject ? changeLernaProjectVersion(developVersion) : changePackageJsonVersion(developVersion))
+        .then(() => updateDistTagsDependencies(isLernaProject, isTopicDistTag, 'dev'))
         .then(() => {
-            const commitMsg = commitMessage || `chore: merge from ${currentBranch} to develop`;
-            return commitAndPush(git, 'develop', commitMsg);
+            const commitMsg = commitMessage || `chore: merge from ${currentBranch} to ${branches.develop}`;
+            return commitAndPush(git, branches.develop, commitMsg);
         })
-        .then(() => deleteBranch(git, currentBranch, squash));
+        .then(() => deleteBranch(git, currentBranch, squash))
+        .then(() => removeDistTags ? cleanupDistTags(currentBranch) : undefined);
+}
+
+/**
+ * Finishes a branch workflow by fast-forwarding develop to the branch, optionally rebased onto the latest develop first.
+ * Restoring the develop version and dev dist-tag dependencies is committed separately, the remote branch is deleted
+ * only if it has no commits missing in the local branch.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branchType - The type of branch (feature, bugfix, etc.)
+ * @param {boolean} rebase - Whether to rebase the branch onto develop before fast-forwarding
+ * @param {string} [commitMessage] - Custom message of the version commit
+ * @param {boolean} removeDistTags - Whether to remove the dist-tag of the branch from the registry
+ * @returns {Promise<void>} A promise that resolves when the branch workflow is complete
+ * @private
+ */
+function fastForwardTopicBranch(git, branchType, rebase, commitMessage, removeDistTags) {
+    const isLernaProject = detectLernaProject();
+    const { branches } = getConfig();
+    let currentBranch;
+    let developVersion;
+
+    return checkUncommittedChanges(git)
+        .then(() => getTopicBranch(git, branchType))
+        .then(branch => {
+            currentBranch = branch;
+            return fetchBranches(git, [branches.develop, currentBranch]);
+        })
+        .then(() => checkRemoteBranchIncluded(git, currentBranch))
+        .then(() => rebase
+            ? getVersionFromBranch(git, currentBranch, isLernaProject).then(version => rebaseOnDevelop(git, version))
+            : undefined)
+        .then(() => switchToBranchAndPull(git, branches.develop))
+        .then(() => getVersionFromBranch(git, branches.develop, isLernaProject))
+        .then(version => {
+            developVersion = version;
+            return fastForwardToBranch(git, currentBranch);
+        })
+        // Fast-forward brings the prerelease version of the branch
+        .then(() => isLernaProject ? changeLernaProjectVersion(developVersion) : changePackageJsonVersion(developVersion))
+        .then(() => updateDistTagsDependencies(isLernaProject, isTopicDistTag, 'dev'))
+        .then(() => commitChangesAndPush(git, branches.develop, commitMessage || `chore: restore ${branches.develop} version after ${currentBranch}`))
+        // Rebased commits are not recognized by git as merged to the remote branch
+        .then(() => deleteBranch(git, currentBranch, true, true))
+        .then(() => removeDistTags ? cleanupDistTags(currentBranch) : undefined);
+}
+
+/**
+ * Finishes a branch workflow through a pull request to develop. The branch is updated with develop,
+ * gets the develop version and dev dist-tag dependencies, is pushed and a pull request is opened.
+ * The branch is deleted when the workflow is run again after the pull request is merged.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branchType - The type of branch (feature, bugfix, etc.)
+ * @param {string|boolean} [strategy='merge'] - merge or squash, squash asks the provider to squash on merge if it supports it
+ * @param {string} [commitMessage] - The pull request title, required when squashing
+ * @param {boolean} [removeDistTags=false] - Whether to remove the dist-tag of the branch from the registry after the merge
+ * @returns {Promise<void>} A promise that resolves when the pull request is opened or the merged branch is deleted
+ */
+function finishTopicBranchViaPullRequest(git, branchType, strategy = 'merge', commitMessage, removeDistTags = false) {
+    const finishStrategy = getFinishStrategy(strategy);
+    if (finishStrategy !== 'merge' && finishStrategy !== 'squash') {
+        return Promise.reject(new InvalidArgumentError(`${finishStrategy} strategy is not supported for pull requests, choose the merge method when merging the pull request`));
+    }
+    const squash = finishStrategy === 'squash';
+    if (squash && !commitMessage) {
+        return Promise.reject(new InvalidArgumentError("message is required when using squash option"));
+    }
+
+    const isLernaProject = detectLernaProject();
+    const { remote, branches, prefixes } = getConfig();
+    let currentBranch;
+    let api;
+
+    return checkUncommittedChanges(git)
+        .then(() => getTopicBranch(git, branchType))
+        .then(branch => {
+            currentBranch = branch;
+            return createApiClient(git);
+        })
+        .then(client => {
+            api = client;
+            return findPullRequest(api, currentBranch, branches.develop);
+        })
+        .then(pullRequest => {
+            if (pullRequest && pullRequest.state === 'merged') {
+                logger.log(`Pull request ${pullRequest.url} is merged`);
+                return deleteMergedBranch(git, currentBranch)
+                    .then(() => removeDistTags ? cleanupDistTags(currentBranch) : undefined);
+            }
+            return updateBranchWithDevelop(git)
+                .then(() => getVersionFromBranch(git, `${remote}/${branches.develop}`, isLernaProject))
+                .then(version => isLernaProject ? changeLernaProjectVersion(version) : changePackageJsonVersion(version))
+                .then(() => updateDistTagsDependencies(isLernaProject, isTopicDistTag, 'dev'))
+                .then(() => commitChangesAndPush(git, currentBranch, `chore: prepare ${currentBranch} to merge to ${branches.develop}`))
+                .then(() => {
+                    if (pullRequest && pullRequest.state === 'open') {
+                        logger.log(`Pull request ${pullRequest.url} is already open`);
+                        return;
+                    }
+                    return createPullRequest(api, {
+                        sourceBranch: currentBranch,
+                        targetBranch: branches.develop,
+                        title: commitMessage || `Merge ${currentBranch} to ${branches.develop}`,
+                        description: `Finishes ${branchType} ${currentBranch.slice(prefixes[branchType].length)}.`,
+                        squash
+                    });
+                })
+                .then(() => logger.log(`Run ${branchType}-finish --via-pr again after the pull request is merged to delete ${currentBranch}`));
+        });
+}
+
+/**
+ * Normalizes the finish strategy, boolean values stand for the squash option
+ * 
+ * @param {string|boolean} strategy - The finish strategy or the squash option
+ * @returns {string} The strategy name
+ * @private
+ */
+function getFinishStrategy(strategy) {
+    if (typeof strategy === 'boolean') {
+        return strategy ? 'squash' : 'merge';
+    }
+    return strategy || 'merge';
+}
+
+/**
+ * Gets the current branch and checks that it is a branch of the type
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branchType - The type of branch (feature, bugfix, etc.)
+ * @returns {Promise<string>} A promise that resolves with the branch name, rejects with InvalidBranchError for other branches
+ * @private
+ */
+function getTopicBranch(git, branchType) {
+    return getCurrentBranchName(git).then(branch => {
+        if (!branch.startsWith(getConfig().prefixes[branchType])) {
+            throw new InvalidBranchError(branch, `You are trying to finish not ${branchType} branch: ${branch}`);
+        }
+        return branch;
+    });
+}
+
+/**
+ * Checks if a dependency version is a dist-tag of a feature or bugfix branch: <type>-<name>, e.g. feature-login.
+ * Dist-tags named after the configured branch prefixes (e.g. 'feat-login' for 'feat/') are recognized as well.
+ * Specs with a protocol or a path (file:, link:, workspace:, git+, URLs) are never dist-tags.
+ * 
+ * @param {string} version - The dependency version
+ * @returns {boolean} True if the version is a topic branch dist-tag
+ * @private
+ */
+function isTopicDistTag(version) {
+    // Dist-tags of topic branches are sanitized prerelease identifiers
+    if (!/^[0-9a-z-]+$/i.test(version)) {
+        return false;
+    }
+    const { prefixes } = getConfig();
+    const tagPrefixes = ['feature', 'bugfix']
+        .reduce((result, branchType) => [...result, branchType, sanitizePrereleaseIdentifier(prefixes[branchType])], [])
+        .filter(Boolean);
+    return tagPrefixes.some(prefix => version.startsWith(`${prefix}-`));
+}
+
+/**
+ * Commits the changes of the branch, if any, and pushes it
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The current branch
+ * @param {string} message - The commit message
+ * @returns {Promise<void>} A promise that resolves when the branch is pushed
+ * @private
+ */
+function commitChangesAndPush(git, branch, message) {
+    if (isDryRun()) {
+        return commitAndPush(git, branch, message);
+    }
+    return git.status().then(status => status.isClean()
+        ? pushNewBranch(git, branch)
+        : commitAndPush(git, branch, message));
+}
+
+/**
+ * Switches to develop and deletes the branch of a merged pull request.
+ * The remote branch may already be deleted by the provider on merge.
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The merged branch
+ * @returns {Promise<void>} A promise that resolves when the branch is deleted
+ * @private
+ */
+function deleteMergedBranch(git, branch) {
+    return switchToBranchAndPull(git, getConfig().branches.develop)
+        .then(() => checkRemoteBranchExists(git, branch))
+        // Squash and rebase merges are not recognized by git as merged
+        .then(exists => exists ? deleteBranch(git, branch, true) : deleteLocalBranch(git, branch, true));
 }
 
 module.exports = {
+    FINISH_STRATEGIES,
     startTopicBranch,
-    finishTopicBranch
+    finishTopicBranch,
+    finishTopicBranchViaPullRequest
 }; 
\ No newline at end of file
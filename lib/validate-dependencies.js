@@ -14,52 +14,77 @@
  * limitations under the License.
  */
 
-const path = require('path');
 const semver = require('semver');
-const packageJsonPath = path.resolve(process.cwd(), "package.json");
-const { handleError } = require('./git-utils');
+const { getProjectPackageJsons } = require('./workspaces');
+const { getDependencyEntries, isDependencyReference } = require('./dependency-sections');
+const { logger } = require('./context');
+const { DependencyValidationError } = require('./errors');
+
+/**
+ * Branch types with dependency version rules
+ */
+const BRANCH_TYPES = ['main', 'support', 'release', 'hotfix', 'develop', 'feature', 'bugfix'];
 
 /**
  * Validates that all dependencies are using versions allowed for the specific branch type
  * 
- * @param {string} targetBranchType - The type of branch ('main', 'release', 'hotfix', 'develop', 'feature', 'bugfix')
+ * @param {string} targetBranchType - The type of branch ('main', 'support', 'release', 'hotfix', 'develop', 'feature', 'bugfix')
  * @param {Set<string>} excludePackages - Set of package names to exclude from validation
- * @returns {Promise<void>} A promise that resolves when validation is complete
+ * @param {Object|Object[]} [packageJson] - The package.json content(s) to validate (e.g. the root and workspace packages),
+ * the root, workspace and Lerna packages are read from the working directory if not specified
+ * @returns {Promise<void>} A promise that resolves when validation is complete, rejects with DependencyValidationError
  */
-function validateDependencies(targetBranchType = 'main', excludePackages = new Set()) {
-    return new Promise((resolve) => {
-        const packageJson = require(packageJsonPath);
-        
-        const dependencies = {
-            ...packageJson.dependencies,
-            ...packageJson.devDependencies,
-            ...packageJson.peerDependencies
-        };
+function validateDependencies(targetBranchType = 'main', excludePackages = new Set(), packageJson = getProjectPackageJsons()) {
+    return new Promise((resolve, reject) => {
+        const findings = findInvalidDependencies(targetBranchType, excludePackages, packageJson);
 
-        const invalidDeps = [];
+        if (findings.length > 0) {
+            return reject(new DependencyValidationError(targetBranchType, findings));
+        }
         
-        for (const [dep, version] of Object.entries(dependencies)) {
-            // Skip validation for excluded packages
-            if (excludePackages.has(dep)) {
+        logger.log(`Dependencies validation passed for ${targetBranchType} branch type rules`);
+        resolve();
+    });
+}
+
+/**
+ * Collects dependencies using versions not allowed for the specific branch type.
+ * A dependency found in several packages with the same section and version is reported once.
+ * 
+ * @param {string} targetBranchType - The type of branch
+ * @param {Set<string>} excludePackages - Set of package names to exclude from validation
+ * @param {Object|Object[]} packageJson - The package.json content(s) to validate
+ * @returns {Array<{section: string, name: string, version: string}>} Invalid dependencies with the section they were found in
+ */
+function findInvalidDependencies(targetBranchType, excludePackages, packageJson) {
+    const findings = [];
+
+    [].concat(packageJson).forEach(packageJsonContent => {
+        for (const { section, name, packageName, version } of getDependencyEntries(packageJsonContent)) {
+            // Skip validation for excluded packages and references to other dependencies
+            if (excludePackages.has(packageName) || isDependencyReference(version)) {
                 continue;
             }
-            
-            if (typeof version === 'string') {
-                if (!isVersionAllowed(version, targetBranchType)) {
-                    invalidDeps.push(`${dep}@${version}`);
-                }
-            }
-        }
 
-        if (invalidDeps.length > 0) {
-            const errorMessage = `Cannot proceed with ${targetBranchType} branch type rules. The following dependencies must be updated to allowed versions:\n` + 
-                               invalidDeps.map(dep => `  - ${dep}`).join('\n');
-            handleError(new Error(errorMessage));
+            const isReported = findings.some(finding => finding.section === section && finding.name === name && finding.version === version);
+            if (!isVersionAllowed(version, targetBranchType) && !isReported) {
+                findings.push({ section, name, version });
+            }
         }
-        
-        console.log(`Dependencies validation passed for ${targetBranchType} branch type rules`);
-        resolve();
     });
+
+    return findings;
+}
+
+/**
+ * Describes versions allowed for the specific branch type
+ * 
+ * @param {string} targetBranchType - The type of branch
+ * @returns {string[]} 'release versions' followed by allowed dist-tags, prefixes end with '*' (e.g. 'feature*')
+ */
+function getAllowedVersions(targetBranchType) {
+    const { exactTags, prefixTags } = getAllowedTags(targetBranchType);
+    return ['release versions', ...exactTags, ...prefixTags.map(prefix => `${prefix}*`)];
 }
 
 /**
@@ -152,6 +177,7 @@ function getAllowedTags(targetBranchType) {
             allowedTags.prefixTags.push('bugfix');
             break;
         case 'main':
+        case 'support':
         default:
             // No additional tags allowed for main
             break;
@@ -161,5 +187,8 @@ function getAllowedTags(targetBranchType) {
 }
 
 module.exports = {
-    validateDependencies
+    BRANCH_TYPES,
+    validateDependencies,
+    findInvalidDependencies,
+    getAllowedVersions
 }; 
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * Copyright 2024-2025 NetCracker Technology Corporation
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCwd } = require('./context');
+const { readManifest } = require('./manifest');
+
+/**
+ * Directories never containing workspace packages
+ */
+const IGNORED_DIRECTORIES = new Set(['node_modules']);
+
+/**
+ * Returns workspace globs declared in package.json.
+ * Both the npm array form and the Yarn object form ({ packages: [...] }) are supported.
+ * 
+ * @param {Object} packageJson - The root package.json content
+ * @returns {string[]} Workspace globs, empty if the project has no workspaces
+ */
+function getWorkspacePatterns(packageJson) {
+    const workspaces = packageJson.workspaces;
+    if (Array.isArray(workspaces)) {
+        return workspaces;
+    }
+    if (workspaces && Array.isArray(workspaces.packages)) {
+        return workspaces.packages;
+    }
+    return [];
+}
+
+/**
+ * Checks if the project in the current directory uses npm workspaces
+ * 
+ * @returns {boolean} True if the root package.json declares workspaces
+ */
+function detectWorkspacesProject() {
+    const packageJsonPath = path.resolve(getCwd(), 'package.json');
+    return fs.existsSync(packageJsonPath) && getWorkspacePatterns(readManifest(packageJsonPath).data).length > 0;
+}
+
+/**
+ * Converts a workspace glob to a regular expression matching the directory path followed by '/'.
+ * Supports '*' and '?' within a path segment and '**' for any number of segments.
+ * 
+ * @param {string} pattern - The workspace glob (e.g. 'packages/*')
+ * @returns {RegExp} The regular expression
+ * @private
+ */
+function workspacePatternToRegExp(pattern) {
+    const source = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/')
+        .map(segment => segment === '**'
+            ? '(?:[^/]+/)*'
+            : segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]') + '/')
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Selects directories matching the workspace globs. Globs starting with '!' exclude directories.
+ * 
+ * @param {string[]} patterns - Workspace globs
+ * @param {string[]} directories - Directories relative to the project root, using '/' as separator
+ * @returns {string[]} Matching directories in alphabetical order
+ */
+function matchWorkspaceDirectories(patterns, directories) {
+    const include = patterns.filter(pattern => !pattern.startsWith('!')).map(workspacePatternToRegExp);
+    const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => workspacePatternToRegExp(pattern.slice(1)));
+    return directories
+        .filter(directory => include.some(regExp => regExp.test(`${directory}/`)) && !exclude.some(regExp => regExp.test(`${directory}/`)))
+        .sort();
+}
+
+/**
+ * Recursively finds directories containing package.json, skipping node_modules and hidden directories
+ * 
+ * @param {string} root - The project root directory
+ * @param {string} [relativeDirectory] - The directory to search in, relative to the root
+ * @returns {string[]} Directories relative to the root
+ * @private
+ */
+function findPackageDirectories(root, relativeDirectory = '') {
+    return fs.readdirSync(path.join(root, relativeDirectory), { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !IGNORED_DIRECTORIES.has(entry.name))
+        .flatMap(entry => {
+            const directory = relativeDirectory ? `${relativeDirectory}/${entry.name}` : entry.name;
+            const nested = findPackageDirectories(root, directory);
+            return fs.existsSync(path.join(root, directory, 'package.json')) ? [directory, ...nested] : nested;
+        });
+}
+
+/**
+ * Enumerates workspace packages of the project in the current directory
+ * 
+ * @returns {Array<{name: string, location: string, packageJsonPath: string, packageJson: Object}>} Workspace packages, empty if the project has no workspaces
+ */
+function getWorkspacePackages() {
+    return readPackages(getWorkspacePatterns(readManifest(path.resolve(getCwd(), 'package.json')).data));
+}
+
+/**
+ * Enumerates Lerna packages of the project in the current directory.
+ * Packages are located by the "packages" globs of lerna.json, workspace globs or 'packages/*' by default.
+ * 
+ * @returns {Array<{name: string, location: string, packageJsonPath: string, packageJson: Object}>} Lerna packages, empty if the project has no lerna.json
+ */
+function getLernaPackages() {
+    const cwd = getCwd();
+    const lernaJsonPath = path.resolve(cwd, 'lerna.json');
+    if (!fs.existsSync(lernaJsonPath)) {
+        return [];
+    }
+    return readPackages(getLernaPatterns(readManifest(lernaJsonPath).data, readManifest(path.resolve(cwd, 'package.json')).data));
+}
+
+/**
+ * Returns the globs locating Lerna packages: the "packages" globs of lerna.json, workspace globs or 'packages/*' by default
+ * 
+ * @param {Object} lernaJson - The lerna.json content
+ * @param {Object} rootPackageJson - The root package.json content
+ * @returns {string[]} Package globs
+ * @private
+ */
+function getLernaPatterns(lernaJson, rootPackageJson) {
+    if (Array.isArray(lernaJson.packages)) {
+        return lernaJson.packages;
+    }
+    const workspacePatterns = getWorkspacePatterns(rootPackageJson);
+    return workspacePatterns.length > 0 ? workspacePatterns : ['packages/*'];
+}
+
+/**
+ * Returns package.json files of the root, workspace and Lerna packages of the project in the current directory
+ * 
+ * @returns {string[]} The files relative to the project root, using '/' as separator
+ */
+function getPackageJsonFiles() {
+    const cwd = getCwd();
+    const packageFiles = [...getWorkspacePackages(), ...getLernaPackages()]
+        .map(({ packageJsonPath }) => path.relative(cwd, packageJsonPath).split(path.sep).join('/'));
+    return [...new Set(['package.json', ...packageFiles])];
+}
+
+/**
+ * Reads packages of the directories matching the globs
+ * 
+ * @param {string[]} patterns - Package globs
+ * @returns {Array<{name: string, location: string, packageJsonPath: string, packageJson: Object}>} Packages in alphabetical order of directories
+ * @private
+ */
+function readPackages(patterns) {
+    const cwd = getCwd();
+    if (patterns.length === 0) {
+        return [];
+    }
+    return matchWorkspaceDirectories(patterns, findPackageDirectories(cwd)).map(directory => {
+        const location = path.resolve(cwd, directory);
+        const packageJsonPath = path.join(location, 'package.json');
+        const packageJson = readManifest(packageJsonPath).data;
+        return { name: packageJson.name, location, packageJsonPath, packageJson };
+    });
+}
+
+/**
+ * Returns package.json contents of the root, workspace and Lerna packages from the working directory,
+ * the files of getPackageJsonFiles
+ * 
+ * @returns {Object[]} The root package.json followed by package.json contents of the packages
+ */
+function getProjectPackageJsons() {
+    return getPackageJsonFiles().map(file => readManifest(path.resolve(getCwd(), file)).data);
+}
+
+/**
+ * Returns package.json contents of the root, workspace and Lerna packages from a branch without checking it out
+ * 
+ * @param {Object} git - The simple-git instance
+ * @param {string} branch - The branch to read from
+ * @returns {Promise<Object[]>} A promise that resolves with the root package.json followed by package.json contents of the packages
+ */
+function getProjectPackageJsonsFromBranch(git, branch) {
+    const showJson = file => git.show([`${branch}:${file}`]).then(data => JSON.parse(data));
+    let rootPackageJson;
+    let files;
+
+    return Promise.all([showJson('package.json'), git.raw(['ls-tree', '-r', '--name-only', branch])])
+        .then(([packageJson, fileList]) => {
+            rootPackageJson = packageJson;
+            files = fileList.split('\n');
+            return files.includes('lerna.json') ? showJson('lerna.json') : null;
+        })
+        .then(lernaJson => {
+            const patternGroups = [getWorkspacePatterns(rootPackageJson), lernaJson ? getLernaPatterns(lernaJson, rootPackageJson) : []];
+            const directories = files
+                .filter(file => file.endsWith('/package.json') && !file.split('/').some(segment => IGNORED_DIRECTORIES.has(segment)))
+                .map(file => path.posix.dirname(file));
+            const packageDirectories = [...new Set(patternGroups.flatMap(patterns => matchWorkspaceDirectories(patterns, directories)))].sort();
+            return Promise.all(packageDirectories.map(directory => showJson(`${directory}/package.json`)));
+        })
+        .then(packageJsons => [rootPackageJson, ...packageJsons]);
+}
+
+module.exports = {
+    getWorkspacePatterns,
+    detectWorkspacesProject,
+    matchWorkspaceDirectories,
+    getWorkspacePackages,
+    getLernaPackages,
+    getPackageJsonFiles,
+    getProjectPackageJsons,
+    getProjectPackageJsonsFromBranch
+};